@@ -0,0 +1,175 @@
+import createStore from './createStore'
+import ActionTypes from './utils/actionTypes'
+import isInteger from './utils/isInteger'
+
+// 内部使用的action，直接把state替换成action.state，不会被记录
+const SET_STATE = '@@redux/log/SET_STATE'
+
+function parseLog (log) {
+  const parsed = typeof log === 'string' ? JSON.parse(log) : log
+  if (
+    typeof parsed !== 'object' ||
+    parsed === null ||
+    !Array.isArray(parsed.entries)
+  ) {
+    throw new Error(
+      'Expected the action log to be an object with an "entries" array, ' +
+        'as returned by store.exportActionLog().'
+    )
+  }
+  return parsed
+}
+
+/**
+ * Creates a store enhancer that records every action reaching the reducer,
+ * together with a timestamp and the state it produced. The log can be
+ * inspected, exported as JSON to be attached to a bug report, and imported
+ * again to reproduce the exact same sequence of states.
+ *
+ * The enhanced store gets the following methods:
+ *
+ * - `getActionLog()` returns `{ initialState, entries }`, where each entry is
+ *   `{ action, timestamp, state }`.
+ * - `jumpToAction(index)` restores the state recorded for the given entry, or
+ *   the initial state for an index of -1. The entries after it are dropped,
+ *   so that actions dispatched afterwards are appended right after it, and
+ *   the log always replays to the current state.
+ * - `exportActionLog()` returns the log as a JSON string.
+ * - `importActionLog(log)` replaces the log with the given one (a JSON string
+ *   or an object), and replays its actions from its initial state.
+ *
+ * The actions of a failed `transaction()` are removed from the log, since
+ * their state changes are rolled back.
+ *
+ * @param {Object} [options] Action log options.
+ * @param {number} [options.limit] The maximum number of entries to keep. The
+ * oldest entries are folded into the initial state.
+ * @returns {Function} A store enhancer recording the actions.
+ */
+export default function applyActionLog (options = {}) {
+  const { limit = Infinity } = options
+
+  return createStore => (reducer, preloadedState) => {
+    let currentReducer = reducer
+    let initialState
+    let entries = []
+    let isRecording = false
+
+    function record (action, state) {
+      entries.push({ action, timestamp: Date.now(), state })
+      // 超出长度限制时，把最老的一条合并进initialState，保证依旧可以重放
+      if (entries.length > limit) {
+        initialState = entries.shift().state
+      }
+    }
+
+    // 在reducer中记录而不是包装dispatch，这样即使在listener中嵌套dispatch
+    // 记录的顺序和state也与reducer真正执行的顺序一致
+    function liftedReducer (state, action) {
+      if (action.type === SET_STATE) {
+        return action.state
+      }
+
+      const nextState = currentReducer(state, action)
+      if (
+        isRecording &&
+        action.type !== ActionTypes.INIT &&
+        action.type !== ActionTypes.REPLACE
+      ) {
+        record(action, nextState)
+      }
+      return nextState
+    }
+
+    const store = createStore(liftedReducer, preloadedState)
+    initialState = store.getState()
+    isRecording = true
+
+    function getActionLog () {
+      return { initialState, entries: entries.slice() }
+    }
+
+    function jumpToAction (index) {
+      if (!isInteger(index) || index < -1 || index >= entries.length) {
+        throw new Error(
+          'Expected the index to be an integer between -1 and ' +
+            `${entries.length - 1}, instead received ${index}.`
+        )
+      }
+
+      const state = index === -1 ? initialState : entries[index].state
+      // 丢掉之后的记录，否则之后的action接在它们后面，导出的log就重放不出当前的state
+      entries = entries.slice(0, index + 1)
+      store.dispatch({ type: SET_STATE, state })
+    }
+
+    function exportActionLog () {
+      return JSON.stringify(getActionLog())
+    }
+
+    function importActionLog (log) {
+      const parsed = parseLog(log)
+
+      // 用当前的reducer重新计算每一步的state，而不是直接相信导入的state
+      // 最后只dispatch一次，listener也只会被通知一次
+      let state = parsed.initialState
+      const replayed = parsed.entries.map(({ action, timestamp }) => {
+        state = currentReducer(state, action)
+        return { action, timestamp, state }
+      })
+
+      initialState = parsed.initialState
+      entries = replayed
+      store.dispatch({ type: SET_STATE, state })
+    }
+
+    // transaction失败时state会被回滚，其中记录下来的action也要一起去掉
+    function transaction (callback) {
+      const previousEntries = entries.slice()
+      const previousInitialState = initialState
+      try {
+        return store.transaction(callback)
+      } catch (error) {
+        entries = previousEntries
+        initialState = previousInitialState
+        throw error
+      }
+    }
+
+    function replaceReducer (nextReducer) {
+      if (typeof nextReducer !== 'function') {
+        throw new Error('Expected the nextReducer to be a function.')
+      }
+
+      currentReducer = nextReducer
+      store.replaceReducer(liftedReducer)
+    }
+
+    return {
+      ...store,
+      transaction,
+      replaceReducer,
+      getActionLog,
+      jumpToAction,
+      exportActionLog,
+      importActionLog
+    }
+  }
+}
+
+/**
+ * Creates a fresh store from the given reducer and replays an exported
+ * action log onto it. This is handy to reproduce a bug report outside of the
+ * app that recorded it.
+ *
+ * @param {Function} reducer The reducer the log was recorded with.
+ * @param {string|Object} log The log, as returned by `exportActionLog()` or
+ * `getActionLog()`.
+ * @returns {Store} A store with the action log enhancer applied, whose state
+ * is the result of replaying the log.
+ */
+export function replayActionLog (reducer, log) {
+  const store = createStore(reducer, applyActionLog())
+  store.importActionLog(log)
+  return store
+}
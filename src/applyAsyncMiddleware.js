@@ -0,0 +1,85 @@
+import applyMiddleware from './applyMiddleware'
+import createThunkMiddleware from './createThunkMiddleware'
+import createPromiseMiddleware from './createPromiseMiddleware'
+import isPromise from './utils/isPromise'
+
+function noop () {}
+
+/**
+ * Creates a store enhancer that works like `applyMiddleware`, with the thunk
+ * and Promise middleware built in ahead of the given middleware.
+ *
+ * The enhanced store also gets a `dispatchAsync(action)` method. It returns a
+ * Promise that settles like the value returned by `dispatch`, but only once
+ * every asynchronous dispatch started meanwhile, including the nested ones,
+ * has settled too. This is handy for server side rendering, where all data
+ * must have been loaded before the state is serialized.
+ *
+ * @param {Object} [options] May be passed before the middleware.
+ * @param {any} [options.extraArgument] The extra argument passed to thunks.
+ * @param {...Function} middlewares The middleware chain to be applied after
+ * the built-in ones.
+ * @returns {Function} A store enhancer applying the middleware.
+ */
+export default function applyAsyncMiddleware (...middlewares) {
+  // 和createStore省略preloadedState类似：第一个参数不是函数时，就是options
+  let options = {}
+  if (middlewares.length > 0 && typeof middlewares[0] !== 'function') {
+    options = middlewares.shift() || {}
+  }
+
+  return createStore => (...args) => {
+    // 所有还没有settle的异步dispatch
+    const pending = []
+
+    function track (promise) {
+      const settled = promise.then(noop, noop).then(() => {
+        pending.splice(pending.indexOf(settled), 1)
+      })
+      pending.push(settled)
+    }
+
+    // 放在最外层，这样在thunk中嵌套调用的dispatch也会经过它
+    const trackAsync = () => next => (...dispatchArgs) => {
+      const result = next(...dispatchArgs)
+      if (isPromise(result)) {
+        track(result)
+      }
+      return result
+    }
+
+    const store = applyMiddleware(
+      trackAsync,
+      createThunkMiddleware(options.extraArgument),
+      createPromiseMiddleware(),
+      ...middlewares
+    )(createStore)(...args)
+
+    // 等待的过程中可能又有新的异步dispatch加进来，所以要一直等到pending为空
+    function waitForPending () {
+      if (pending.length === 0) {
+        return Promise.resolve()
+      }
+      return Promise.all(pending.slice()).then(waitForPending)
+    }
+
+    function dispatchAsync (action) {
+      let result
+      try {
+        result = store.dispatch(action)
+      } catch (e) {
+        return Promise.reject(e)
+      }
+
+      return Promise.resolve(result).then(
+        value => waitForPending().then(() => value),
+        error => waitForPending().then(() => Promise.reject(error))
+      )
+    }
+
+    return {
+      ...store,
+      dispatchAsync
+    }
+  }
+}
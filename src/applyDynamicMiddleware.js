@@ -0,0 +1,110 @@
+import compose from './compose'
+
+function dispatchWhileConstructing () {
+  throw new Error(
+    `Dispatching while constructing your middleware is not allowed. ` +
+      `Other middleware would not be applied to this dispatch.`
+  )
+}
+
+/**
+ * Creates a store enhancer that applies middleware like `applyMiddleware`,
+ * except that more middleware can be added and removed after the store has
+ * been created, for example by feature modules loaded later.
+ *
+ * The enhanced store gets the following methods:
+ *
+ * - `addMiddleware(...middlewares)` appends middleware to the chain.
+ *   Middleware that is already in the chain is ignored.
+ * - `removeMiddleware(middleware)` removes a middleware from the chain.
+ *
+ * Each middleware is given the `dispatch` and `getState` functions only once,
+ * when it is added, so whatever it sets up at that point is kept when other
+ * middleware is added or removed.
+ *
+ * @param {...Function} middlewares The middleware chain to start with.
+ * @returns {Function} A store enhancer applying the middleware.
+ */
+export default function applyDynamicMiddleware (...middlewares) {
+  return createStore => (...args) => {
+    const store = createStore(...args)
+    let dispatch = dispatchWhileConstructing
+
+    // 和applyMiddleware中一样，用匿名函数保证中间件拿到的总是最新的dispatch
+    const middlewareAPI = {
+      getState: store.getState,
+      dispatch: (...args) => dispatch(...args)
+    }
+
+    // 储存每个中间件以及它传入middlewareAPI之后得到的next => action => {...}
+    let entries = []
+
+    function rebuild (nextEntries) {
+      dispatch = compose(...nextEntries.map(entry => entry.chain))(
+        store.dispatch
+      )
+      entries = nextEntries
+    }
+
+    function addMiddleware (...nextMiddlewares) {
+      nextMiddlewares.forEach(middleware => {
+        if (typeof middleware !== 'function') {
+          throw new Error('Expected the middleware to be a function.')
+        }
+      })
+
+      const added = nextMiddlewares.filter(
+        (middleware, index) =>
+          nextMiddlewares.indexOf(middleware) === index &&
+          !entries.some(entry => entry.middleware === middleware)
+      )
+      if (added.length === 0) {
+        return
+      }
+
+      // 构造中间件的过程中依旧不允许dispatch
+      // 构造失败时恢复原来的dispatch，保证store依旧可用
+      const previousDispatch = dispatch
+      dispatch = dispatchWhileConstructing
+
+      let addedEntries
+      try {
+        addedEntries = added.map(middleware => ({
+          middleware,
+          chain: middleware(middlewareAPI)
+        }))
+      } catch (e) {
+        dispatch = previousDispatch
+        throw e
+      }
+
+      rebuild(entries.concat(addedEntries))
+    }
+
+    function removeMiddleware (middleware) {
+      const nextEntries = entries.filter(entry => entry.middleware !== middleware)
+      if (nextEntries.length !== entries.length) {
+        rebuild(nextEntries)
+      }
+    }
+
+    rebuild([])
+    addMiddleware(...middlewares)
+
+    // 和applyMiddleware中一样，tx.dispatch同样要经过中间件
+    function transaction (callback) {
+      return store.transaction(tx =>
+        callback({ ...tx, dispatch: (...args) => dispatch(...args) })
+      )
+    }
+
+    return {
+      ...store,
+      // 对外暴露一个固定的dispatch，中间件变化之后依旧有效
+      dispatch: (...args) => dispatch(...args),
+      transaction,
+      addMiddleware,
+      removeMiddleware
+    }
+  }
+}
@@ -0,0 +1,231 @@
+import ActionTypes from './utils/actionTypes'
+import isInteger from './utils/isInteger'
+import isPlainObject from './utils/isPlainObject'
+import unliftStore from './utils/unliftStore'
+
+/**
+ * Action types understood by `undoable` reducers. Unlike the private
+ * `ActionTypes`, these are stable strings so that they can be logged,
+ * serialized and replayed.
+ */
+export const HistoryActionTypes = {
+  UNDO: '@@redux/history/UNDO',
+  REDO: '@@redux/history/REDO',
+  JUMP: '@@redux/history/JUMP',
+  CLEAR: '@@redux/history/CLEAR'
+}
+
+/**
+ * Moves one step back in the history.
+ *
+ * @returns {Object} An action for an `undoable` reducer.
+ */
+export function undo () {
+  return { type: HistoryActionTypes.UNDO }
+}
+
+/**
+ * Moves one step forward in the history.
+ *
+ * @returns {Object} An action for an `undoable` reducer.
+ */
+export function redo () {
+  return { type: HistoryActionTypes.REDO }
+}
+
+/**
+ * Moves several steps through the history at once.
+ *
+ * @param {number} steps An integer. Negative numbers go back in the past,
+ * positive numbers go forward in the future.
+ * @returns {Object} An action for an `undoable` reducer.
+ */
+export function jump (steps) {
+  if (!isInteger(steps)) {
+    throw new Error(
+      `Expected the number of steps to be an integer, instead received ${steps}.`
+    )
+  }
+
+  return { type: HistoryActionTypes.JUMP, steps }
+}
+
+/**
+ * Forgets the past and future states, keeping only the present one.
+ *
+ * @returns {Object} An action for an `undoable` reducer.
+ */
+export function clearHistory () {
+  return { type: HistoryActionTypes.CLEAR }
+}
+
+function isHistory (state) {
+  return (
+    isPlainObject(state) &&
+    Array.isArray(state.past) &&
+    Array.isArray(state.future) &&
+    state.hasOwnProperty('present')
+  )
+}
+
+function createHistory (present) {
+  return { past: [], present, future: [], group: null }
+}
+
+function jumpTo (history, steps) {
+  // 手写或者反序列化得到的JUMP action可能不合法，不能让history被破坏
+  if (!isInteger(steps)) {
+    return history
+  }
+
+  const { past, present, future } = history
+
+  // 向过去跳：past中的最后-steps个state依次移到future的前面
+  if (steps < 0) {
+    const index = past.length + steps
+    if (index < 0) {
+      return history
+    }
+    return {
+      past: past.slice(0, index),
+      present: past[index],
+      future: past.slice(index + 1).concat([present], future),
+      group: null
+    }
+  }
+
+  // 向未来跳：future中的前steps个state依次移到past的后面
+  if (steps > 0) {
+    if (steps > future.length) {
+      return history
+    }
+    return {
+      past: past.concat([present], future.slice(0, steps - 1)),
+      present: future[steps - 1],
+      future: future.slice(steps),
+      group: null
+    }
+  }
+
+  return history
+}
+
+/**
+ * Turns a reducer into one that records the past and future states it has
+ * produced, and that responds to the `undo`, `redo`, `jump` and
+ * `clearHistory` actions. The resulting state has the shape
+ * `{ past, present, future }`, where `present` is the state of the wrapped
+ * reducer.
+ *
+ * Since it is just a reducer, it may also be used for a single slice passed
+ * to `combineReducers`.
+ *
+ * @param {Function} reducer The reducer whose states should be recorded.
+ *
+ * @param {Object} [options] History options.
+ * @param {number} [options.limit] The maximum number of past states to keep.
+ * @param {Function} [options.filter] Called with `(action, nextPresent,
+ * history)`. Return false to update the present state without creating a
+ * history entry.
+ * @param {Function} [options.groupBy] Called with `(action, nextPresent,
+ * history)`. Consecutive actions for which it returns the same non-null key
+ * are merged into a single history entry.
+ *
+ * @returns {Function} A reducer managing the history of the given reducer.
+ */
+export function undoable (reducer, options = {}) {
+  if (typeof reducer !== 'function') {
+    throw new Error('Expected the reducer to be a function.')
+  }
+
+  const {
+    limit = Infinity,
+    filter = () => true,
+    groupBy = () => null
+  } = options
+
+  return function history (state, action) {
+    // state为undefined（初始化时），或者是还没有被包装过的preloadedState
+    if (!isHistory(state)) {
+      state = createHistory(state)
+    }
+
+    switch (action.type) {
+      case HistoryActionTypes.UNDO:
+        return jumpTo(state, -1)
+      case HistoryActionTypes.REDO:
+        return jumpTo(state, 1)
+      case HistoryActionTypes.JUMP:
+        return jumpTo(state, action.steps)
+      case HistoryActionTypes.CLEAR:
+        return createHistory(state.present)
+    }
+
+    const present = reducer(state.present, action)
+    // 保持引用不变，combineReducers的hasChanged才能正常工作
+    if (present === state.present) {
+      return state
+    }
+
+    // INIT和REPLACE只是为了取得reducer的初始值，不应该能被撤销
+    if (
+      action.type === ActionTypes.INIT ||
+      action.type === ActionTypes.REPLACE ||
+      !filter(action, present, state)
+    ) {
+      return { ...state, present }
+    }
+
+    // 与上一个action属于同一组时，直接替换present，不产生新的历史记录
+    const group = groupBy(action, present, state)
+    if (group != null && group === state.group && state.past.length > 0) {
+      return { past: state.past, present, future: [], group }
+    }
+
+    const past = state.past.concat([state.present])
+    return {
+      past: past.length > limit ? past.slice(past.length - limit) : past,
+      present,
+      future: [],
+      group
+    }
+  }
+}
+
+/**
+ * Creates a store enhancer that adds undo/redo history to the whole state
+ * tree. The store keeps exposing the app state through `getState()`, while
+ * the recorded history is available through `getHistory()`.
+ *
+ * Dispatch the `undo()`, `redo()`, `jump(steps)` and `clearHistory()` actions
+ * to move through the history.
+ *
+ * @param {Object} [options] The history options, see `undoable`.
+ * @returns {Function} A store enhancer recording the history.
+ */
+export default function applyHistory (options) {
+  // 和applyMiddleware一样的结构：传入createStore，返回新的createStore
+  return createStore => (reducer, preloadedState) => {
+    const store = createStore(undoable(reducer, options), preloadedState)
+
+    function getHistory () {
+      const { past, future } = store.getState()
+      return { past, future }
+    }
+
+    // 替换reducer时同样需要包装一次，否则history会被新的reducer覆盖掉
+    function replaceReducer (nextReducer) {
+      if (typeof nextReducer !== 'function') {
+        throw new Error('Expected the nextReducer to be a function.')
+      }
+
+      store.replaceReducer(undoable(nextReducer, options))
+    }
+
+    return {
+      ...unliftStore(store, history => history.present),
+      getHistory,
+      replaceReducer
+    }
+  }
+}
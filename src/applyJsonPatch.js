@@ -0,0 +1,130 @@
+import { createPatch, applyPatch } from './utils/jsonPatch'
+
+/**
+ * Action types understood by stores enhanced with `applyJsonPatch`. Like
+ * `HistoryActionTypes`, these are stable strings so that the actions can be
+ * sent to another process and replayed there.
+ */
+export const PatchActionTypes = {
+  APPLY: '@@redux/patch/APPLY'
+}
+
+/**
+ * Applies JSON Patch operations to the state of a store enhanced with
+ * `applyJsonPatch`, for example the patches received from
+ * `subscribePatches()` on another store.
+ *
+ * @param {Array} patches The JSON Patch (RFC 6902) operations to apply.
+ * @returns {Object} An action for a store enhanced with `applyJsonPatch`.
+ */
+export function applyPatches (patches) {
+  if (!Array.isArray(patches)) {
+    throw new Error('Expected the patches to be an array.')
+  }
+
+  return { type: PatchActionTypes.APPLY, patches }
+}
+
+function liftReducer (reducer) {
+  return function patchable (state, action) {
+    // 打补丁的action不经过reducer，直接修改state
+    if (action.type === PatchActionTypes.APPLY) {
+      return applyPatch(state, action.patches)
+    }
+    return reducer(state, action)
+  }
+}
+
+/**
+ * Creates a store enhancer describing every state change as a JSON Patch
+ * (RFC 6902), to log what changed or to send it to another store.
+ *
+ * The enhanced store gets `subscribePatches(listener)`. After a dispatch
+ * changes the state, the listener is called with the patches turning the
+ * previous state into the next one. Subtrees that are the same reference in
+ * both states are skipped, so the patches only cover what the reducers
+ * changed. Like the change listeners, patch listeners are called once per
+ * batch or transaction. `subscribePatches` returns a function to remove the
+ * listener.
+ *
+ * The enhanced store also handles the `applyPatches(patches)` action, which
+ * applies the patches to its state without calling the reducer. Together,
+ * they let a second store mirror the state of the first one.
+ *
+ * The state should only contain plain objects, arrays and JSON values.
+ *
+ * @returns {Function} A store enhancer producing and applying JSON Patches.
+ */
+export default function applyJsonPatch () {
+  return createStore => (reducer, preloadedState) => {
+    const store = createStore(liftReducer(reducer), preloadedState)
+
+    let patchListeners = []
+    let lastState
+    let unsubscribeStore = null
+
+    // 每次通知时，计算上一次通知之后的state到当前state的patch
+    function handleChange () {
+      const nextState = store.getState()
+      const patches = createPatch(lastState, nextState)
+      lastState = nextState
+      if (patches.length === 0) {
+        return
+      }
+
+      // 和createStore中一样，遍历的是快照，listener中取消订阅不会影响这一轮
+      const listeners = patchListeners
+      for (let i = 0; i < listeners.length; i++) {
+        const listener = listeners[i]
+        listener(patches)
+      }
+    }
+
+    function subscribePatches (listener) {
+      if (typeof listener !== 'function') {
+        throw new Error('Expected the listener to be a function.')
+      }
+
+      // 只在有patch listener时才订阅store，没有listener时不需要计算diff
+      if (patchListeners.length === 0) {
+        lastState = store.getState()
+        unsubscribeStore = store.subscribe(handleChange)
+      }
+      patchListeners = patchListeners.concat(listener)
+
+      let isSubscribed = true
+      return function unsubscribe () {
+        if (!isSubscribed) {
+          return
+        }
+
+        isSubscribed = false
+        // 同一个listener可能被订阅了多次，只去掉这一次订阅的
+        const index = patchListeners.indexOf(listener)
+        patchListeners = patchListeners
+          .slice(0, index)
+          .concat(patchListeners.slice(index + 1))
+        if (patchListeners.length === 0) {
+          unsubscribeStore()
+          unsubscribeStore = null
+          lastState = undefined
+        }
+      }
+    }
+
+    // 替换reducer时同样需要包装一次，否则新的reducer无法处理打补丁的action
+    function replaceReducer (nextReducer) {
+      if (typeof nextReducer !== 'function') {
+        throw new Error('Expected the nextReducer to be a function.')
+      }
+
+      store.replaceReducer(liftReducer(nextReducer))
+    }
+
+    return {
+      ...store,
+      subscribePatches,
+      replaceReducer
+    }
+  }
+}
@@ -73,10 +73,16 @@ export default function applyMiddleware (...middlewares) {
     // 相当于就是每个中间件在自己的过程中做一些操作，做完之后调用下一个中间件(next(action))
     dispatch = compose(...chain)(store.dispatch)
 
+    // transaction中的tx.dispatch同样要经过中间件
+    function transaction (callback) {
+      return store.transaction(tx => callback({ ...tx, dispatch }))
+    }
+
     // 最终返回一个dispatch被修改了的store，这个dispatch串联起了中间件
     return {
       ...store,
-      dispatch
+      dispatch,
+      transaction
     }
   }
 }
@@ -0,0 +1,164 @@
+import isPlainObject from './utils/isPlainObject'
+import unliftStore from './utils/unliftStore'
+
+/**
+ * The values of `meta.optimistic.type` understood by `applyOptimistic`.
+ * Like `HistoryActionTypes`, these are stable strings so that the actions
+ * carrying them can be logged, serialized and replayed.
+ */
+export const OptimisticTypes = {
+  BEGIN: '@@redux/optimistic/BEGIN',
+  COMMIT: '@@redux/optimistic/COMMIT',
+  REVERT: '@@redux/optimistic/REVERT'
+}
+
+function getOptimisticMeta (action) {
+  const meta = action.meta && action.meta.optimistic
+  if (typeof meta === 'undefined') {
+    return null
+  }
+
+  if (
+    !isPlainObject(meta) ||
+    (meta.type !== OptimisticTypes.BEGIN &&
+      meta.type !== OptimisticTypes.COMMIT &&
+      meta.type !== OptimisticTypes.REVERT)
+  ) {
+    throw new Error(
+      `The action "${String(action.type)}" has an invalid meta.optimistic. ` +
+        `Expected an object whose type is OptimisticTypes.BEGIN, ` +
+        `OptimisticTypes.COMMIT or OptimisticTypes.REVERT.`
+    )
+  }
+
+  // log中id为null的记录表示已经结束的事务，所以事务必须有id
+  if (meta.id == null) {
+    throw new Error(
+      `The action "${String(action.type)}" has no meta.optimistic.id. ` +
+        `Expected an id identifying the optimistic transaction.`
+    )
+  }
+
+  return meta
+}
+
+// 没有进行中的事务时，不需要保留base和log
+function collapse (present) {
+  return { present, base: undefined, log: [] }
+}
+
+// log中的每一项是{ action, id }，id表示这个action开启的、还没有结束的事务
+// 没有事务进行中时，log总是空的
+function liftReducer (reducer) {
+  return function optimistic (state = collapse(undefined), action) {
+    const meta = getOptimisticMeta(action)
+    const isInLog = meta && state.log.some(entry => entry.id === meta.id)
+
+    if (meta && meta.type === OptimisticTypes.BEGIN && isInLog) {
+      throw new Error(
+        `The optimistic transaction "${String(meta.id)}" has already begun.`
+      )
+    }
+
+    let log = state.log
+    let present
+    if (meta && meta.type === OptimisticTypes.REVERT && isInLog) {
+      // 撤销：去掉开启事务的action，从base开始重放其余的action，最后再处理撤销的action本身
+      log = log.filter(entry => entry.id !== meta.id)
+      const replayed = log.reduce(
+        (current, entry) => reducer(current, entry.action),
+        state.base
+      )
+      present = reducer(replayed, action)
+    } else {
+      present = reducer(state.present, action)
+    }
+
+    if (meta && meta.type === OptimisticTypes.COMMIT && isInLog) {
+      // 提交：开启事务的action变成普通的action，撤销其它事务时依旧需要重放它
+      log = log.map(entry =>
+        entry.id === meta.id ? { action: entry.action, id: null } : entry
+      )
+    }
+
+    if (meta && meta.type === OptimisticTypes.BEGIN) {
+      return {
+        present,
+        // 第一个事务开始时，记下此时的state，之后的撤销都从这里重放
+        base: log.length > 0 ? state.base : state.present,
+        log: log.concat({ action, id: meta.id })
+      }
+    }
+
+    // 所有事务都结束了，不再需要base和log
+    if (!log.some(entry => entry.id != null)) {
+      return present === state.present && state.log.length === 0
+        ? state
+        : collapse(present)
+    }
+
+    // 有事务进行中时，其它action也要记下来，撤销时才能重放
+    return {
+      present,
+      base: state.base,
+      log: log.concat({ action, id: null })
+    }
+  }
+}
+
+/**
+ * Creates a store enhancer for optimistic updates. An action is applied
+ * optimistically, before knowing whether the change it describes will
+ * succeed, by marking it with
+ * `meta.optimistic = { type: OptimisticTypes.BEGIN, id }`, where `id`
+ * identifies the transaction and may not be null or undefined.
+ *
+ * The action settling the transaction carries the same `id`:
+ *
+ * - With `OptimisticTypes.COMMIT`, the optimistic action is kept.
+ * - With `OptimisticTypes.REVERT`, the optimistic action is undone. The state
+ *   is recomputed from the state before the first pending transaction began,
+ *   by replaying every action dispatched since then except the reverted one,
+ *   so that no other change is lost.
+ *
+ * Both settling actions are then handled by the reducer like any other
+ * action. Actions without `meta.optimistic` are unaffected.
+ *
+ * The store keeps exposing the app state through `getState()`, and gets
+ * `getPendingTransactions()`, which returns the ids of the transactions that
+ * have begun but are not settled yet.
+ *
+ * @returns {Function} A store enhancer handling optimistic updates.
+ */
+export default function applyOptimistic () {
+  return createStore => (reducer, preloadedState) => {
+    const store = createStore(
+      liftReducer(reducer),
+      typeof preloadedState === 'undefined'
+        ? undefined
+        : collapse(preloadedState)
+    )
+
+    function getPendingTransactions () {
+      return store
+        .getState()
+        .log.filter(entry => entry.id != null)
+        .map(entry => entry.id)
+    }
+
+    // 替换reducer时同样需要包装一次，否则进行中的事务会被新的reducer覆盖掉
+    function replaceReducer (nextReducer) {
+      if (typeof nextReducer !== 'function') {
+        throw new Error('Expected the nextReducer to be a function.')
+      }
+
+      store.replaceReducer(liftReducer(nextReducer))
+    }
+
+    return {
+      ...unliftStore(store, liftedState => liftedState.present),
+      getPendingTransactions,
+      replaceReducer
+    }
+  }
+}
@@ -0,0 +1,278 @@
+import isPlainObject from './utils/isPlainObject'
+import warning from './utils/warning'
+
+/**
+ * Action types dispatched by the persistence enhancer.
+ */
+export const PersistActionTypes = {
+  REHYDRATE: '@@redux/persist/REHYDRATE'
+}
+
+// JSON.stringify会把Map变成{}，所以先把Map（比如mapAdapter的state）转成plain object
+// 读取时combineReducers再通过mapAdapter.from把它转换回Map
+function mapToObject (map) {
+  const object = {}
+  map.forEach((value, key) => {
+    object[key] = value
+  })
+  return object
+}
+
+function serializeState (value) {
+  return JSON.stringify(value, (key, v) =>
+    v instanceof Map ? mapToObject(v) : v
+  )
+}
+
+function migrate (stored, version, migrations) {
+  // 已经是当前版本，不需要迁移
+  if (stored.version === version) {
+    return stored.state
+  }
+
+  // 存储的版本比代码中的还新（比如回滚了代码），无法向下迁移，只能丢弃
+  if (stored.version > version) {
+    if (process.env.NODE_ENV !== 'production') {
+      warning(
+        `The persisted state has version ${stored.version}, which is newer ` +
+          `than the current version ${version}. It will be ignored.`
+      )
+    }
+    return undefined
+  }
+
+  // 按版本号从小到大依次执行(stored.version, version]之间的迁移函数
+  return Object.keys(migrations)
+    .map(Number)
+    .filter(v => v > stored.version && v <= version)
+    .sort((a, b) => a - b)
+    .reduce((state, v) => migrations[v](state), stored.state)
+}
+
+/**
+ * Creates a store enhancer that saves the state to a storage adapter and
+ * rehydrates it when the store is created. Once the stored state has been
+ * loaded, a `REHYDRATE` action carrying it as `payload` is dispatched, and
+ * its keys are merged into the current state.
+ *
+ * The enhanced store gets the following methods:
+ *
+ * - `whenRehydrated()` returns a Promise resolving once `REHYDRATE` has been
+ *   dispatched. It rejects if a reducer or a listener throws while handling
+ *   `REHYDRATE`.
+ * - `flushPersistedState()` writes any pending state right away, and resolves
+ *   once all the writes have completed.
+ * - `purgePersistedState()` removes the stored state.
+ *
+ * Writes to the storage never overlap: a write only starts once the previous
+ * one has completed, and only the latest state is written then.
+ *
+ * @param {Object} config Persistence options.
+ * @param {Object} config.storage The storage adapter, see
+ * `createMemoryStorage`, `createWebStorage` and `createFileStorage`.
+ * @param {string} [config.key] The key the state is stored under.
+ * @param {string[]} [config.whitelist] The only top-level state keys (such as
+ * the keys passed to `combineReducers`) to persist.
+ * @param {string[]} [config.blacklist] Top-level state keys not to persist.
+ * @param {number} [config.throttle] The minimum number of milliseconds
+ * between two writes.
+ * @param {number} [config.version] The version of the state shape.
+ * @param {Object} [config.migrations] Functions migrating a stored state to
+ * a given version, keyed by that version.
+ * @param {Function} [config.serialize] Turns the stored value into a string.
+ * Defaults to `JSON.stringify`, with `Map`s stored as plain objects.
+ * @param {Function} [config.deserialize] Turns a string back into the stored
+ * value.
+ *
+ * @returns {Function} A store enhancer persisting the state.
+ */
+export default function applyPersistence (config) {
+  if (typeof config !== 'object' || config === null) {
+    throw new Error('Expected the persistence config to be an object.')
+  }
+
+  const {
+    storage,
+    key = 'root',
+    whitelist,
+    blacklist,
+    throttle = 0,
+    version = 0,
+    migrations = {},
+    serialize = serializeState,
+    deserialize = JSON.parse
+  } = config
+
+  if (
+    !storage ||
+    typeof storage.getItem !== 'function' ||
+    typeof storage.setItem !== 'function' ||
+    typeof storage.removeItem !== 'function'
+  ) {
+    throw new Error(
+      'Expected the storage to implement getItem, setItem and removeItem ' +
+        'methods.'
+    )
+  }
+
+  // 根据whitelist和blacklist选出需要持久化的key
+  // 只有state是plain object（比如combineReducers生成的state）时才有意义
+  function pickPersistedState (state) {
+    if (state instanceof Map) {
+      state = mapToObject(state)
+    }
+
+    if (!isPlainObject(state) || (!whitelist && !blacklist)) {
+      return state
+    }
+
+    const picked = {}
+    Object.keys(state).forEach(stateKey => {
+      if (whitelist && whitelist.indexOf(stateKey) === -1) return
+      if (blacklist && blacklist.indexOf(stateKey) !== -1) return
+      picked[stateKey] = state[stateKey]
+    })
+    return picked
+  }
+
+  // REHYDRATE时先把存储的state合并进当前state，再交给reducer
+  // 这样combineReducers的每个子reducer拿到的就是自己被存储的那部分state
+  function liftReducer (reducer) {
+    return (state, action) => {
+      if (
+        action.type === PersistActionTypes.REHYDRATE &&
+        typeof action.payload !== 'undefined' &&
+        !action.error
+      ) {
+        const payload = pickPersistedState(action.payload)
+        if (isPlainObject(state) && isPlainObject(payload)) {
+          state = { ...state, ...payload }
+        } else if (state instanceof Map && isPlainObject(payload)) {
+          // 使用mapAdapter时，存储的Map被序列化成了plain object，合并回Map中
+          state = new Map(
+            Array.from(state).concat(
+              Object.keys(payload).map(stateKey => [stateKey, payload[stateKey]])
+            )
+          )
+        } else {
+          state = payload
+        }
+      }
+      return reducer(state, action)
+    }
+  }
+
+  return createStore => (reducer, preloadedState) => {
+    const store = createStore(liftReducer(reducer), preloadedState)
+
+    let isRehydrated = false
+    let lastState = store.getState()
+    let timeout = null
+    // 同一时间只有一个写入在进行，其余的写入排在它后面，保证写入按顺序完成
+    // 排队中还没开始的写入最多只有一个，它开始时才读取最新的state
+    let lastWrite = Promise.resolve()
+    let queuedWrite = null
+
+    function write () {
+      timeout = null
+      if (queuedWrite === null) {
+        queuedWrite = lastWrite
+          .then(() => {
+            queuedWrite = null
+            lastState = store.getState()
+            const value = serialize({
+              version,
+              state: pickPersistedState(lastState)
+            })
+            return storage.setItem(key, value)
+          })
+          .catch(error => {
+            warning(`Failed to persist the state: ${error}`)
+          })
+        lastWrite = queuedWrite
+      }
+      return lastWrite
+    }
+
+    // 节流：throttle时间内的多次变化只写入一次最新的state
+    function scheduleWrite () {
+      if (!isRehydrated || store.getState() === lastState) {
+        return
+      }
+      if (throttle <= 0) {
+        write()
+      } else if (timeout === null) {
+        timeout = setTimeout(write, throttle)
+      }
+    }
+
+    store.subscribe(scheduleWrite)
+
+    const rehydrated = Promise.resolve()
+      .then(() => storage.getItem(key))
+      .then(raw => {
+        if (raw === null || typeof raw === 'undefined') {
+          return undefined
+        }
+        return migrate(deserialize(raw), version, migrations)
+      })
+      .then(
+        payload => ({ type: PersistActionTypes.REHYDRATE, key, payload }),
+        error => ({
+          type: PersistActionTypes.REHYDRATE,
+          key,
+          payload: error,
+          error: true
+        })
+      )
+      .then(action => {
+        store.dispatch(action)
+        // REHYDRATE得到的state本来就来自存储，不需要再写回去
+        lastState = store.getState()
+        isRehydrated = true
+      })
+    // reducer或listener在REHYDRATE时抛出的错误只交给whenRehydrated()的调用者
+    // 没有人调用whenRehydrated()时，不能让它变成未处理的rejection
+    rehydrated.catch(() => {})
+
+    function whenRehydrated () {
+      return rehydrated
+    }
+
+    function flushPersistedState () {
+      if (timeout !== null) {
+        clearTimeout(timeout)
+        return write()
+      }
+      // 等待进行中和排队中的写入完成
+      return lastWrite
+    }
+
+    function purgePersistedState () {
+      if (timeout !== null) {
+        clearTimeout(timeout)
+        timeout = null
+      }
+      // 排在进行中的写入之后，否则之前的写入可能在删除之后才完成
+      const purged = lastWrite.then(() => storage.removeItem(key))
+      lastWrite = purged.catch(() => {})
+      return purged
+    }
+
+    function replaceReducer (nextReducer) {
+      if (typeof nextReducer !== 'function') {
+        throw new Error('Expected the nextReducer to be a function.')
+      }
+
+      store.replaceReducer(liftReducer(nextReducer))
+    }
+
+    return {
+      ...store,
+      replaceReducer,
+      whenRehydrated,
+      flushPersistedState,
+      purgePersistedState
+    }
+  }
+}
@@ -0,0 +1,133 @@
+import combineReducers from './combineReducers'
+import isPlainObject from './utils/isPlainObject'
+
+function toPath (key) {
+  if (typeof key !== 'string' || key === '') {
+    throw new Error(
+      `Expected the reducer key to be a non-empty string, instead received ${
+        key === '' ? 'an empty string' : typeof key
+      }.`
+    )
+  }
+  return key.split('.')
+}
+
+function cloneTree (reducers) {
+  const tree = {}
+  Object.keys(reducers).forEach(key => {
+    tree[key] = isPlainObject(reducers[key])
+      ? cloneTree(reducers[key])
+      : reducers[key]
+  })
+  return tree
+}
+
+/**
+ * Creates a store enhancer that lets reducers be added and removed after the
+ * store has been created, for example when a code-split bundle is loaded.
+ *
+ * With this enhancer, `createStore` receives the object of reducers itself
+ * (the one you would otherwise pass to `combineReducers`, nested objects
+ * included) instead of a reducer function. Because it takes an object of
+ * reducers, it should be the first store enhancer in the composition chain.
+ *
+ * The enhanced store gets the following methods:
+ *
+ * - `injectReducer(key, reducer)` adds a reducer at the given key, which may
+ *   be a dotted path such as `admin.users`. It throws if the key already
+ *   holds nested reducers, which must be removed first.
+ * - `removeReducer(key)` removes the reducer at the given key, together with
+ *   its slice of the state.
+ *
+ * Both of them rebuild the root reducer through `replaceReducer`, which
+ * dispatches the private `REPLACE` action.
+ *
+ * @param {Object} [options] The options passed to `combineReducers`.
+ * @returns {Function} A store enhancer managing the reducers.
+ */
+export default function applyReducerManager (options) {
+  return createStore => (reducers, preloadedState) => {
+    if (!isPlainObject(reducers)) {
+      throw new Error(
+        'Expected the reducers to be an object whose values are reducers. ' +
+          'With applyReducerManager, pass the object of reducers to ' +
+          'createStore instead of a combined reducer.'
+      )
+    }
+
+    // 复制一份，之后的inject和remove都直接修改这棵树
+    const reducerTree = cloneTree(reducers)
+    const store = createStore(combineReducers(reducerTree, options), preloadedState)
+
+    function injectReducer (key, reducer) {
+      const path = toPath(key)
+      if (typeof reducer !== 'function') {
+        throw new Error('Expected the reducer to be a function.')
+      }
+
+      let node = reducerTree
+      for (let i = 0; i < path.length - 1; i++) {
+        if (typeof node[path[i]] === 'function') {
+          throw new Error(
+            `Cannot inject a reducer at "${key}" because ` +
+              `"${path.slice(0, i + 1).join('.')}" already holds a reducer.`
+          )
+        }
+        if (!isPlainObject(node[path[i]])) {
+          node[path[i]] = {}
+        }
+        node = node[path[i]]
+      }
+
+      const lastKey = path[path.length - 1]
+      // 重复注入同一个reducer时（比如路由反复进入）不需要重新初始化
+      if (node[lastKey] === reducer) {
+        return
+      }
+      // 替换掉一组嵌套的reducer会丢掉整个slice，应当先调用removeReducer
+      if (isPlainObject(node[lastKey])) {
+        throw new Error(
+          `Cannot inject a reducer at "${key}" because it already holds ` +
+            'nested reducers. Remove them first.'
+        )
+      }
+
+      node[lastKey] = reducer
+      store.replaceReducer(combineReducers(reducerTree, options))
+    }
+
+    function removeReducer (key) {
+      const path = toPath(key)
+
+      // 记录下经过的节点，删除之后要把变成空对象的父节点也一起删掉
+      const nodes = [reducerTree]
+      for (let i = 0; i < path.length - 1; i++) {
+        const next = nodes[i][path[i]]
+        if (!isPlainObject(next)) {
+          return
+        }
+        nodes.push(next)
+      }
+
+      if (!nodes[nodes.length - 1].hasOwnProperty(path[path.length - 1])) {
+        return
+      }
+
+      for (let i = path.length - 1; i >= 0; i--) {
+        delete nodes[i][path[i]]
+        if (i === 0 || Object.keys(nodes[i]).length > 0) {
+          break
+        }
+      }
+
+      // combination会发现state中多出了没有reducer的key，从而丢弃这部分state
+      store.replaceReducer(combineReducers(reducerTree, options))
+    }
+
+    return {
+      ...store,
+      injectReducer,
+      removeReducer
+    }
+  }
+}
@@ -1,6 +1,12 @@
 import ActionTypes from './utils/actionTypes'
 import warning from './utils/warning'
 import isPlainObject from './utils/isPlainObject'
+import { plainObjectAdapter } from './stateAdapters'
+
+// 嵌套的reducers对象中，用点号把各层的key连起来，比如entities.users.byId
+function joinKeyPath (keyPath, key) {
+  return keyPath ? `${keyPath}.${key}` : key
+}
 
 function getUndefinedStateErrorMessage (key, action) {
   const actionType = action && action.type
@@ -14,28 +20,67 @@ function getUndefinedStateErrorMessage (key, action) {
   )
 }
 
+function getUndeclaredActionWarningMessage (key, action) {
+  const actionType = String(action.type)
+  return (
+    `Reducer "${key}" declared the action types it handles in reducer.actionTypes, ` +
+    `but changed its state for the undeclared action "${actionType}". ` +
+    `In production this action will not reach the reducer. ` +
+    `Add "${actionType}" to its actionTypes, or remove actionTypes to receive every action.`
+  )
+}
+
+// action creator（比如createAction生成的）也可以写在actionTypes中
+function normalizeActionType (type) {
+  return typeof type === 'function' ? String(type) : type
+}
+
+// state不是adapter的容器时（比如从JSON恢复出来的plain object），先尝试转换
+// 转换不了就抛出明确的错误，否则adapter.get会在不同的环境下以不同的方式出错
+function toContainer (state, adapter, keyPath) {
+  const converted =
+    typeof adapter.from === 'function' ? adapter.from(state) : undefined
+  if (typeof converted === 'undefined') {
+    throw new Error(
+      `The state received by the reducer` +
+        (keyPath ? ` at "${keyPath}"` : '') +
+        ` has unexpected type of "` +
+        {}.toString.call(state).match(/\s([a-z|A-Z]+)/)[1] +
+        `", which the state adapter can neither read nor convert.`
+    )
+  }
+  return converted
+}
+
 function getUnexpectedStateShapeWarningMessage (
   inputState,
   reducers,
   action,
-  unexpectedKeyCache
+  unexpectedKeyCache,
+  keyPath,
+  adapter
 ) {
-  const reducerKeys = Object.keys(reducers)
+  const reducerKeys = Object.keys(reducers).map(key =>
+    joinKeyPath(keyPath, key)
+  )
   const argumentName =
-    action && action.type === ActionTypes.INIT
+    (action && action.type === ActionTypes.INIT
       ? 'preloadedState argument passed to createStore'
-      : 'previous state received by the reducer'
+      : 'previous state received by the reducer') +
+    (keyPath ? ` at "${keyPath}"` : '')
 
   // 如果传入的reducer为空，不合格
   if (reducerKeys.length === 0) {
     return (
-      'Store does not have a valid reducer. Make sure the argument passed ' +
+      'Store does not have a valid reducer' +
+      (keyPath ? ` at "${keyPath}"` : '') +
+      '. Make sure the argument passed ' +
       'to combineReducers is an object whose values are reducers.'
     )
   }
 
-  // 如果传入的state不是plain object，不合格
-  if (!isPlainObject(inputState)) {
+  // 如果传入的state不是adapter能处理的容器（默认为plain object），不合格
+  if (!adapter.is(inputState)) {
     return (
       `The ${argumentName} has unexpected type of "` +
       {}.toString.call(inputState).match(/\s([a-z|A-Z]+)/)[1] +
@@ -46,7 +91,7 @@ function getUnexpectedStateShapeWarningMessage (
 
   // 如果inputState包含了reducers中没有的属性（reducer不能处理这个state属性）
   // 记录下来这些key存在unexpectedKeyCache里
-  const unexpectedKeys = Object.keys(inputState).filter(
+  const unexpectedKeys = adapter.keys(inputState).filter(
     key => !reducers.hasOwnProperty(key) && !unexpectedKeyCache[key]
   )
 
@@ -62,16 +107,19 @@ function getUnexpectedStateShapeWarningMessage (
   if (unexpectedKeys.length > 0) {
     return (
       `Unexpected ${unexpectedKeys.length > 1 ? 'keys' : 'key'} ` +
-      `"${unexpectedKeys.join('", "')}" found in ${argumentName}. ` +
+      `"${unexpectedKeys
+        .map(key => joinKeyPath(keyPath, key))
+        .join('", "')}" found in ${argumentName}. ` +
       `Expected to find one of the known reducer keys instead: ` +
       `"${reducerKeys.join('", "')}". Unexpected keys will be ignored.`
     )
   }
 }
 
-function assertReducerShape (reducers) {
-  Object.keys(reducers).forEach(key => {
-    const reducer = reducers[key]
+function assertReducerShape (reducers, keyPath) {
+  Object.keys(reducers).forEach(reducerKey => {
+    const reducer = reducers[reducerKey]
+    const key = joinKeyPath(keyPath, reducerKey)
     const initialState = reducer(undefined, { type: ActionTypes.INIT })
 
     // 用undefined来初始化
@@ -120,32 +168,89 @@ function assertReducerShape (reducers) {
  * it is to use ES6 `import * as reducers` syntax. The reducers may never return
  * undefined for any action. Instead, they should return their initial state
  * if the state passed to them was undefined, and the current state for any
- * unrecognized action.
+ * unrecognized action. Values may also be nested objects of reducers, which
+ * are combined the same way. Warnings and errors then refer to the full
+ * dotted key path, such as `entities.users.byId`.
+ *
+ * A reducer may opt in to being called only for the actions it handles, by
+ * listing their types (or action creators) in a `reducer.actionTypes` array.
+ * Reducers without `actionTypes` keep receiving every action. Every reducer
+ * is still called for the private `INIT` and `REPLACE` actions, and whenever
+ * its previous state is undefined. In development, the other reducers are
+ * called anyway, and a warning is emitted if one of them changes its state.
+ * The returned reducer declares the union of the `actionTypes` of its child
+ * reducers, if all of them declare theirs.
+ *
+ * @param {Object} [options] Combination options.
+ * @param {Object} [options.adapter] The state container adapter, such as
+ * `mapAdapter`, for states that are not plain objects. Defaults to
+ * `plainObjectAdapter`.
  *
  * @returns {Function} A reducer function that invokes every reducer inside the
  * passed object, and builds a state object with the same shape.
  */
-export default function combineReducers (reducers) {
+export default function combineReducers (reducers, options = {}) {
+  const { adapter = plainObjectAdapter } = options
+  return createCombination(reducers, '', adapter)
+}
+
+// keyPath是这一层reducers在整个state树中的路径，用来让报错信息指向完整的路径
+// adapter决定了state容器的读写方式，嵌套的每一层使用同一个adapter
+function createCombination (reducers, keyPath, adapter) {
   // 第一次筛选：将reducers中为function的属性赋值给finalReducers
+  // 值为plain object的属性，递归地组合成一个reducer
   const reducerKeys = Object.keys(reducers)
   const finalReducers = {}
   for (let i = 0; i < reducerKeys.length; i++) {
     const key = reducerKeys[i]
     if (process.env.NODE_ENV !== 'production') {
       if (typeof reducers[key] === 'undefined') {
-        warning(`No reducer provided for key "${key}"`)
+        warning(`No reducer provided for key "${joinKeyPath(keyPath, key)}"`)
       }
     }
 
     if (typeof reducers[key] === 'function') {
       finalReducers[key] = reducers[key]
+    } else if (isPlainObject(reducers[key])) {
+      finalReducers[key] = createCombination(
+        reducers[key],
+        joinKeyPath(keyPath, key),
+        adapter
+      )
     }
   }
   const finalReducerKeys = Object.keys(finalReducers)
 
+  // 第二次筛选：根据reducer.actionTypes建立action type到reducer key的索引
+  // 没有声明actionTypes的reducer会响应所有action
+  const wildcardKeys = {}
+  const declaredKeysByType = {}
+  const declaredTypes = []
+  finalReducerKeys.forEach(key => {
+    const actionTypes = finalReducers[key].actionTypes
+    if (!Array.isArray(actionTypes)) {
+      wildcardKeys[key] = true
+      return
+    }
+    actionTypes.map(normalizeActionType).forEach(type => {
+      if (!declaredKeysByType.hasOwnProperty(type)) {
+        declaredKeysByType[type] = {}
+        declaredTypes.push(type)
+      }
+      declaredKeysByType[type][key] = true
+    })
+  })
+  // 每个action type需要调用的reducer：声明了它的reducer加上所有wildcard reducer
+  const keysByActionType = {}
+  declaredTypes.forEach(type => {
+    keysByActionType[type] = { ...wildcardKeys, ...declaredKeysByType[type] }
+  })
+
   let unexpectedKeyCache
+  let undeclaredActionCache
   if (process.env.NODE_ENV !== 'production') {
     unexpectedKeyCache = {}
+    undeclaredActionCache = {}
   }
 
   // 用来检查reducer是否会返回undefined
@@ -153,47 +258,102 @@ export default function combineReducers (reducers) {
   // 那么当访问这一层的子reducer的时候就会发生TypeError的错误
   let shapeAssertionError
   try {
-    assertReducerShape(finalReducers)
+    assertReducerShape(finalReducers, keyPath)
   } catch (e) {
     shapeAssertionError = e
   }
 
   // combination：组合起来的reducer
-  return function combination (state = {}, action) {
+  function combination (state = adapter.create(), action) {
     // 如果之前的reducer检查不合法，则throw错误
     if (shapeAssertionError) {
       throw shapeAssertionError
     }
 
+    // 默认的plainObjectAdapter保持redux原来的行为，只在下面的开发环境检查中警告
+    if (adapter !== plainObjectAdapter && !adapter.is(state)) {
+      state = toContainer(state, adapter, keyPath)
+    }
+
     // 检查excepted state并打印错误
     if (process.env.NODE_ENV !== 'production') {
       const warningMessage = getUnexpectedStateShapeWarningMessage(
         state,
         finalReducers,
         action,
-        unexpectedKeyCache
+        unexpectedKeyCache,
+        keyPath,
+        adapter
       )
       if (warningMessage) {
         warning(warningMessage)
       }
     }
 
+    // INIT和REPLACE需要所有reducer都参与初始化，其它action只交给相关的reducer
+    const isPrivateAction =
+      action.type === ActionTypes.INIT || action.type === ActionTypes.REPLACE
+    const relevantKeys = keysByActionType.hasOwnProperty(action.type)
+      ? keysByActionType[action.type]
+      : wildcardKeys
+
     //
     let hasChanged = false
-    const nextState = {}
+    let nextState = adapter.create()
     for (let i = 0; i < finalReducerKeys.length; i++) {
       const key = finalReducerKeys[i]
       const reducer = finalReducers[key]
-      const previousStateForKey = state[key]
+      const previousStateForKey = adapter.get(state, key)
+
+      // 被跳过的reducer直接沿用之前的state，还没有state的reducer依旧需要初始化
+      if (
+        !isPrivateAction &&
+        !relevantKeys.hasOwnProperty(key) &&
+        typeof previousStateForKey !== 'undefined'
+      ) {
+        if (process.env.NODE_ENV !== 'production') {
+          // 开发环境下依旧调用一次，检查声明的actionTypes是否完整
+          const cacheKey = `${key}\n${String(action.type)}`
+          if (
+            !undeclaredActionCache.hasOwnProperty(cacheKey) &&
+            reducer(previousStateForKey, action) !== previousStateForKey
+          ) {
+            undeclaredActionCache[cacheKey] = true
+            warning(
+              getUndeclaredActionWarningMessage(
+                joinKeyPath(keyPath, key),
+                action
+              )
+            )
+          }
+        }
+        nextState = adapter.set(nextState, key, previousStateForKey)
+        continue
+      }
+
       const nextStateForKey = reducer(previousStateForKey, action)
       // 不允许任何action返回undefined
       if (typeof nextStateForKey === 'undefined') {
-        const errorMessage = getUndefinedStateErrorMessage(key, action)
+        const errorMessage = getUndefinedStateErrorMessage(
+          joinKeyPath(keyPath, key),
+          action
+        )
         throw new Error(errorMessage)
       }
-      nextState[key] = nextStateForKey
+      nextState = adapter.set(nextState, key, nextStateForKey)
       hasChanged = hasChanged || nextStateForKey !== previousStateForKey
     }
+    // 如果state中有已经没有对应reducer的key（比如reducer被移除了），也要返回新的nextState
+    // 否则这些key会一直残留在state中
+    hasChanged =
+      hasChanged || finalReducerKeys.length !== adapter.keys(state).length
     return hasChanged ? nextState : state
   }
+
+  // 所有子reducer都声明了actionTypes时，组合起来的reducer也可以声明，这样嵌套的一层也能被跳过
+  if (finalReducerKeys.length > 0 && Object.keys(wildcardKeys).length === 0) {
+    combination.actionTypes = declaredTypes
+  }
+
+  return combination
 }
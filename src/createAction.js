@@ -0,0 +1,42 @@
+/**
+ * Creates an action creator for the given action type. By default, the
+ * action creator puts its first argument into the `payload` of the action.
+ * The returned function also has a `type` property, a `match(action)` method,
+ * and a `toString()` method returning the type, so that it can be used
+ * wherever the type is expected, for example as a computed key.
+ *
+ * @param {string} type The action type.
+ * @param {Function} [prepareAction] Turns the arguments of the action creator
+ * into an object with `payload` and optionally `meta` and `error`.
+ * @returns {Function} The action creator.
+ */
+export default function createAction (type, prepareAction) {
+  if (typeof prepareAction !== 'undefined' && typeof prepareAction !== 'function') {
+    throw new Error('Expected prepareAction to be a function.')
+  }
+
+  function actionCreator (...args) {
+    if (!prepareAction) {
+      return { type, payload: args[0] }
+    }
+
+    const prepared = prepareAction(...args)
+    if (typeof prepared !== 'object' || prepared === null) {
+      throw new Error(
+        `prepareAction for "${String(type)}" must return an object ` +
+          `with a "payload" property.`
+      )
+    }
+
+    const action = { type, payload: prepared.payload }
+    if ('meta' in prepared) action.meta = prepared.meta
+    if ('error' in prepared) action.error = prepared.error
+    return action
+  }
+
+  actionCreator.type = type
+  actionCreator.toString = () => String(type)
+  actionCreator.match = action => !!action && action.type === type
+
+  return actionCreator
+}
@@ -0,0 +1,112 @@
+import isPlainObject from './utils/isPlainObject'
+import warning from './utils/warning'
+
+/**
+ * Creates a registry of action types, to catch two modules accidentally
+ * sharing the same action type string and triggering each other's reducers.
+ *
+ * The registry provides:
+ *
+ * - `defineActionTypes(namespace, names)` returns an object mapping each name
+ *   to the namespaced type `${namespace}/${name}`, and registers those types.
+ * - `registerActionType(type)` registers a single type and returns it.
+ * - `registerReducer(reducer, [types])` records that the reducer handles the
+ *   given types (or action creators), and returns the reducer. The types
+ *   default to the `reducer.actionTypes` it declares, if any.
+ * - `middleware` warns, once per type, when an action is dispatched whose type
+ *   is not handled by any registered reducer.
+ *
+ * In development, registering the same type twice throws. In production the
+ * registry performs no checks.
+ *
+ * @returns {Object} The action type registry.
+ */
+export default function createActionTypeRegistry () {
+  const registeredTypes = {}
+  const handledTypes = {}
+  const warnedTypes = {}
+
+  function registerActionType (type) {
+    if (typeof type !== 'string' || type === '') {
+      throw new Error('Expected the action type to be a non-empty string.')
+    }
+
+    if (process.env.NODE_ENV !== 'production') {
+      // @@redux/开头的action是redux内部私有的
+      if (type.indexOf('@@redux/') === 0) {
+        throw new Error(
+          `The action type "${type}" uses the "@@redux/" prefix, ` +
+            `which is reserved for Redux itself.`
+        )
+      }
+
+      if (registeredTypes.hasOwnProperty(type)) {
+        throw new Error(
+          `The action type "${type}" has already been registered. ` +
+            `Use a different namespace or name to keep action types unique.`
+        )
+      }
+      registeredTypes[type] = true
+    }
+
+    return type
+  }
+
+  function defineActionTypes (namespace, names) {
+    if (typeof namespace !== 'string' || namespace === '') {
+      throw new Error('Expected the namespace to be a non-empty string.')
+    }
+
+    if (!Array.isArray(names)) {
+      throw new Error('Expected the names to be an array of strings.')
+    }
+
+    const types = {}
+    names.forEach(name => {
+      types[name] = registerActionType(`${namespace}/${name}`)
+    })
+    return types
+  }
+
+  function registerReducer (reducer, types = reducer && reducer.actionTypes) {
+    if (typeof reducer !== 'function') {
+      throw new Error('Expected the reducer to be a function.')
+    }
+
+    if (!Array.isArray(types)) {
+      throw new Error('Expected the handled types to be an array.')
+    }
+
+    // String()之后action creator（比如createAction生成的）也可以直接传进来
+    types.forEach(type => {
+      handledTypes[String(type)] = true
+    })
+    return reducer
+  }
+
+  const middleware = () => next => action => {
+    if (
+      process.env.NODE_ENV !== 'production' &&
+      isPlainObject(action) &&
+      typeof action.type === 'string' &&
+      action.type.indexOf('@@') !== 0 &&
+      !handledTypes.hasOwnProperty(action.type) &&
+      !warnedTypes.hasOwnProperty(action.type)
+    ) {
+      warnedTypes[action.type] = true
+      warning(
+        `The action "${action.type}" is not handled by any registered reducer. ` +
+          `Did you forget to register the reducer handling it, or misspell its type?`
+      )
+    }
+
+    return next(action)
+  }
+
+  return {
+    defineActionTypes,
+    registerActionType,
+    registerReducer,
+    middleware
+  }
+}
@@ -0,0 +1,209 @@
+import createSelector from './createSelector'
+import isPlainObject from './utils/isPlainObject'
+
+// 判断参数是否为一个Flux Standard Action，是的话就取它的payload
+// 这样每个操作既可以直接调用，也可以直接作为createSlice中的case reducer
+function isStandardAction (value) {
+  return (
+    isPlainObject(value) &&
+    typeof value.type === 'string' &&
+    Object.keys(value).every(
+      key => ['type', 'payload', 'error', 'meta'].indexOf(key) !== -1
+    )
+  )
+}
+
+function toArray (entities) {
+  return Array.isArray(entities)
+    ? entities
+    : Object.keys(entities).map(key => entities[key])
+}
+
+/**
+ * Creates a set of reducer helpers and selectors for a normalized collection
+ * of records, stored as `{ ids, entities }`: `ids` is the ordered array of
+ * record ids and `entities` maps each id to its record.
+ *
+ * Every reducer helper is called with `(state, argument)` and returns the next
+ * state, or the same state if nothing changed. The argument may also be an
+ * action carrying it as `payload`, so the helpers can be used as case
+ * reducers of `createSlice` directly:
+ *
+ * - `addOne(state, entity)` and `addMany(state, entities)` add records whose
+ *   ids are not in the collection yet.
+ * - `setAll(state, entities)` replaces all the records.
+ * - `upsertOne(state, entity)` and `upsertMany(state, entities)` add records,
+ *   or shallowly merge them into the existing ones.
+ * - `updateOne(state, { id, changes })` and `updateMany(state, updates)`
+ *   shallowly merge changes into existing records.
+ * - `removeOne(state, id)` and `removeMany(state, ids)` remove records.
+ *
+ * The entities may be passed as an array or as an object keyed by id.
+ *
+ * The adapter also provides `getInitialState(extraState)`, and
+ * `getSelectors(selectState)`, which returns memoized `selectIds`,
+ * `selectEntities`, `selectAll`, `selectTotal` and `selectById(state, id)`
+ * selectors. Without `selectState` they take the collection state itself.
+ *
+ * @param {Object} [options] Adapter options.
+ * @param {Function} [options.selectId] Returns the id of a record. Defaults
+ * to reading its `id` property.
+ * @param {Function} [options.sortComparer] Compares two records to keep the
+ * `ids` sorted. By default, `ids` keep their insertion order.
+ * @returns {Object} The entity adapter.
+ */
+export default function createEntityAdapter (options = {}) {
+  const { selectId = entity => entity.id, sortComparer } = options
+
+  function getInitialState (extraState = {}) {
+    return { ...extraState, ids: [], entities: {} }
+  }
+
+  // 所有的修改最后都经过这里，需要排序时统一在这里排序
+  function commit (state, ids, entities) {
+    if (sortComparer) {
+      ids = ids
+        .slice()
+        .sort((a, b) => sortComparer(entities[a], entities[b]))
+    }
+    return { ...state, ids, entities }
+  }
+
+  function withPayload (reducer) {
+    return (state, argument) =>
+      reducer(state, isStandardAction(argument) ? argument.payload : argument)
+  }
+
+  function addMany (state, newEntities) {
+    let entities = state.entities
+    const added = []
+
+    toArray(newEntities).forEach(entity => {
+      const id = selectId(entity)
+      if (entities.hasOwnProperty(id)) {
+        return
+      }
+      if (entities === state.entities) {
+        entities = { ...state.entities }
+      }
+      entities[id] = entity
+      added.push(id)
+    })
+
+    return added.length > 0
+      ? commit(state, state.ids.concat(added), entities)
+      : state
+  }
+
+  function setAll (state, newEntities) {
+    const ids = []
+    const entities = {}
+
+    toArray(newEntities).forEach(entity => {
+      const id = selectId(entity)
+      if (!entities.hasOwnProperty(id)) {
+        ids.push(id)
+      }
+      entities[id] = entity
+    })
+
+    return commit(state, ids, entities)
+  }
+
+  function updateMany (state, updates) {
+    let ids = state.ids
+    let entities = state.entities
+    let hasChanged = false
+
+    updates.forEach(({ id, changes }) => {
+      if (!entities.hasOwnProperty(id)) {
+        return
+      }
+
+      if (!hasChanged) {
+        ids = state.ids.slice()
+        entities = { ...state.entities }
+        hasChanged = true
+      }
+
+      const updated = { ...entities[id], ...changes }
+      const newId = selectId(updated)
+      // changes中修改了id时，需要同时更新ids和entities的key
+      if (newId !== id) {
+        delete entities[id]
+        ids[ids.indexOf(id)] = newId
+      }
+      entities[newId] = updated
+    })
+
+    return hasChanged ? commit(state, ids, entities) : state
+  }
+
+  function upsertMany (state, newEntities) {
+    const added = []
+    const updates = []
+
+    toArray(newEntities).forEach(entity => {
+      const id = selectId(entity)
+      if (state.entities.hasOwnProperty(id)) {
+        updates.push({ id, changes: entity })
+      } else {
+        added.push(entity)
+      }
+    })
+
+    return addMany(updateMany(state, updates), added)
+  }
+
+  function removeMany (state, idsToRemove) {
+    const removed = idsToRemove.filter(id => state.entities.hasOwnProperty(id))
+    if (removed.length === 0) {
+      return state
+    }
+
+    const entities = { ...state.entities }
+    removed.forEach(id => {
+      delete entities[id]
+    })
+    return commit(
+      state,
+      state.ids.filter(id => entities.hasOwnProperty(id)),
+      entities
+    )
+  }
+
+  function getSelectors (selectState) {
+    const selectIds = selectState
+      ? state => selectState(state).ids
+      : state => state.ids
+    const selectEntities = selectState
+      ? state => selectState(state).entities
+      : state => state.entities
+
+    return {
+      selectIds,
+      selectEntities,
+      selectAll: createSelector([selectIds, selectEntities], (ids, entities) =>
+        ids.map(id => entities[id])
+      ),
+      selectTotal: state => selectIds(state).length,
+      selectById: (state, id) => selectEntities(state)[id]
+    }
+  }
+
+  return {
+    selectId,
+    sortComparer,
+    getInitialState,
+    getSelectors,
+    addOne: withPayload((state, entity) => addMany(state, [entity])),
+    addMany: withPayload(addMany),
+    setAll: withPayload(setAll),
+    upsertOne: withPayload((state, entity) => upsertMany(state, [entity])),
+    upsertMany: withPayload(upsertMany),
+    updateOne: withPayload((state, update) => updateMany(state, [update])),
+    updateMany: withPayload(updateMany),
+    removeOne: withPayload((state, id) => removeMany(state, [id])),
+    removeMany: withPayload(removeMany)
+  }
+}
@@ -0,0 +1,280 @@
+import isPlainObject from './utils/isPlainObject'
+import warning from './utils/warning'
+
+function createCancellationError (reason) {
+  const error = new Error(`The listener effect was cancelled (${reason}).`)
+  error.name = 'CancellationError'
+  return error
+}
+
+// 一个最小化的AbortController，只实现了effect需要用到的部分
+function createAbortController () {
+  let handlers = []
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    addEventListener (type, handler) {
+      if (type === 'abort') handlers.push(handler)
+    },
+    removeEventListener (type, handler) {
+      if (type === 'abort') handlers = handlers.filter(h => h !== handler)
+    }
+  }
+
+  function abort (reason) {
+    if (signal.aborted) {
+      return
+    }
+    signal.aborted = true
+    signal.reason = reason
+    const current = handlers
+    handlers = []
+    current.forEach(handler => handler())
+  }
+
+  return { signal, abort }
+}
+
+function matches (predicate, action, currentState, originalState) {
+  return typeof predicate === 'function'
+    ? predicate(action, currentState, originalState)
+    : action.type === predicate
+}
+
+/**
+ * Creates a listener middleware, to run side effects in response to actions
+ * after the reducer has handled them.
+ *
+ * Register effects with `addListener({ type, predicate, effect, mode,
+ * debounce })`:
+ *
+ * - `type` or `predicate` selects the actions to react to. The predicate is
+ *   called with `(action, currentState, originalState)`.
+ * - `effect(action, api)` runs the side effect. It may return a Promise.
+ * - `mode` is either `'every'` (the default), to run an effect for every
+ *   matching action, or `'latest'`, to cancel the effects still running for
+ *   this listener whenever a new one starts.
+ * - `debounce` is a number of milliseconds to wait for matching actions to
+ *   stop coming before running the effect for the last of them.
+ *
+ * The `api` given to effects contains `getState`, `getOriginalState` (the
+ * state before the action was handled), `dispatch`, a `signal` that is
+ * aborted when the effect is cancelled or completed, and the helpers
+ * `take(predicate, [timeout])`, which resolves to `[action, currentState,
+ * originalState]` for the next matching action (or `null` after the timeout),
+ * and `delay(ms)`. Both helpers reject once the effect is cancelled or
+ * completed, so only the effects awaiting them see the rejection.
+ *
+ * `addListener` returns a function that removes the listener and cancels its
+ * running effects. `clearListeners()` removes all of them.
+ *
+ * @param {Object} [options] Listener middleware options.
+ * @param {Function} [options.onError] Called with `(error, { action })` when
+ * an effect throws or rejects.
+ * @returns {Object} An object with the `middleware` to pass to
+ * `applyMiddleware`, along with `addListener` and `clearListeners`.
+ */
+export default function createListenerMiddleware (options = {}) {
+  const {
+    onError = error => {
+      warning(`A listener effect threw an error: ${(error && error.stack) || error}`)
+    }
+  } = options
+
+  let listeners = []
+  let takers = []
+
+  function take (predicate, timeout, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        return reject(createCancellationError(signal.reason))
+      }
+
+      let timer
+      const taker = { predicate, resolve: settle }
+      function onAbort () {
+        cleanup()
+        reject(createCancellationError(signal.reason))
+      }
+      function cleanup () {
+        takers = takers.filter(t => t !== taker)
+        clearTimeout(timer)
+        signal.removeEventListener('abort', onAbort)
+      }
+      function settle (value) {
+        cleanup()
+        resolve(value)
+      }
+
+      takers.push(taker)
+      signal.addEventListener('abort', onAbort)
+      if (typeof timeout === 'number') {
+        timer = setTimeout(() => settle(null), timeout)
+      }
+    })
+  }
+
+  function delay (ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        return reject(createCancellationError(signal.reason))
+      }
+
+      function onAbort () {
+        clearTimeout(timer)
+        reject(createCancellationError(signal.reason))
+      }
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort)
+        resolve()
+      }, ms)
+      signal.addEventListener('abort', onAbort)
+    })
+  }
+
+  // effect结束时没有被await的take和delay会被取消
+  // 先挂上一个空的处理函数，它们的rejection就不会变成未处理的rejection
+  function handled (promise) {
+    promise.catch(() => {})
+    return promise
+  }
+
+  function cancelRunning (listener, reason) {
+    const running = listener.running
+    listener.running = []
+    running.forEach(controller => controller.abort(reason))
+  }
+
+  function runEffect (listener, action, storeAPI, originalState) {
+    if (listener.mode === 'latest') {
+      cancelRunning(listener, 'superseded by a newer action')
+    }
+
+    const controller = createAbortController()
+    listener.running.push(controller)
+
+    function finish () {
+      listener.running = listener.running.filter(c => c !== controller)
+      // effect结束之后也abort一次，让还没有结束的take和delay被清理掉
+      controller.abort('completed')
+    }
+
+    // 被取消的effect中抛出的错误都是预期中的，不需要报告
+    function handleError (error) {
+      if (!controller.signal.aborted) {
+        onError(error, { action })
+      }
+    }
+
+    let result
+    try {
+      result = listener.effect(action, {
+        getState: storeAPI.getState,
+        getOriginalState: () => originalState,
+        dispatch: storeAPI.dispatch,
+        signal: controller.signal,
+        take: (predicate, timeout) =>
+          handled(take(predicate, timeout, controller.signal)),
+        delay: ms => handled(delay(ms, controller.signal))
+      })
+    } catch (error) {
+      handleError(error)
+      finish()
+      return
+    }
+
+    Promise.resolve(result).then(finish, error => {
+      handleError(error)
+      finish()
+    })
+  }
+
+  function addListener ({ type, predicate, effect, mode = 'every', debounce }) {
+    if (typeof effect !== 'function') {
+      throw new Error('Expected the effect to be a function.')
+    }
+
+    if (typeof predicate !== 'function' && typeof type === 'undefined') {
+      throw new Error('Expected either an action type or a predicate function.')
+    }
+
+    if (mode !== 'every' && mode !== 'latest') {
+      throw new Error(
+        `Expected the mode to be "every" or "latest", instead received "${mode}".`
+      )
+    }
+
+    const listener = {
+      predicate: typeof predicate === 'function' ? predicate : type,
+      effect,
+      mode,
+      debounce,
+      running: [],
+      timer: null
+    }
+    listeners = listeners.concat(listener)
+
+    return function removeListener () {
+      if (listeners.indexOf(listener) === -1) {
+        return
+      }
+
+      listeners = listeners.filter(l => l !== listener)
+      clearTimeout(listener.timer)
+      cancelRunning(listener, 'listener removed')
+    }
+  }
+
+  function clearListeners () {
+    const current = listeners
+    listeners = []
+    current.forEach(listener => {
+      clearTimeout(listener.timer)
+      cancelRunning(listener, 'listeners cleared')
+    })
+  }
+
+  const middleware = storeAPI => next => action => {
+    // thunk之类不是plain object的action交给其它中间件处理
+    if (!isPlainObject(action)) {
+      return next(action)
+    }
+
+    const originalState = storeAPI.getState()
+    const result = next(action)
+    const currentState = storeAPI.getState()
+
+    // 先resolve正在等待的take，再运行新的effect
+    // 遍历的是快照，effect中新增的listener和take不会响应当前的action
+    takers.forEach(taker => {
+      if (matches(taker.predicate, action, currentState, originalState)) {
+        taker.resolve([action, currentState, originalState])
+      }
+    })
+
+    listeners.forEach(listener => {
+      if (!matches(listener.predicate, action, currentState, originalState)) {
+        return
+      }
+
+      if (typeof listener.debounce === 'number') {
+        clearTimeout(listener.timer)
+        listener.timer = setTimeout(() => {
+          listener.timer = null
+          runEffect(listener, action, storeAPI, originalState)
+        }, listener.debounce)
+        return
+      }
+
+      runEffect(listener, action, storeAPI, originalState)
+    })
+
+    return result
+  }
+
+  return {
+    middleware,
+    addListener,
+    clearListeners
+  }
+}
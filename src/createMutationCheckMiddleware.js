@@ -0,0 +1,154 @@
+function isImmutableDefault (value) {
+  return typeof value !== 'object' || value === null || Object.isFrozen(value)
+}
+
+function joinPath (path, key) {
+  return path ? `${path}.${key}` : String(key)
+}
+
+// 记录下整棵state树上每一个节点的引用，之后用来和新的state比较
+function trackProperties (isImmutable, ignoredPaths, value, path = '') {
+  const tracked = { value }
+
+  if (!isImmutable(value)) {
+    tracked.children = {}
+    for (const key in value) {
+      const childPath = joinPath(path, key)
+      if (ignoredPaths.indexOf(childPath) !== -1) {
+        continue
+      }
+      tracked.children[key] = trackProperties(
+        isImmutable,
+        ignoredPaths,
+        value[key],
+        childPath
+      )
+    }
+  }
+
+  return tracked
+}
+
+// 判断是否被mutate的依据：父节点的引用没有变，但是子节点的引用变了
+// 正确的不可变更新会同时产生新的父节点，也就是combination中hasChanged依赖的前提
+function detectMutations (
+  isImmutable,
+  ignoredPaths,
+  tracked,
+  value,
+  sameParentRef = false,
+  path = ''
+) {
+  const prevValue = tracked ? tracked.value : undefined
+  const sameRef = prevValue === value
+
+  // NaN !== NaN，不能算作被mutate
+  if (sameParentRef && !sameRef && !(value !== value && prevValue !== prevValue)) {
+    return path
+  }
+
+  if (isImmutable(prevValue) || isImmutable(value)) {
+    return null
+  }
+
+  const keys = {}
+  for (const key in tracked.children) {
+    keys[key] = true
+  }
+  for (const key in value) {
+    keys[key] = true
+  }
+
+  for (const key in keys) {
+    const childPath = joinPath(path, key)
+    if (ignoredPaths.indexOf(childPath) !== -1) {
+      continue
+    }
+
+    const mutatedPath = detectMutations(
+      isImmutable,
+      ignoredPaths,
+      tracked.children[key],
+      value[key],
+      sameRef,
+      childPath
+    )
+    if (mutatedPath !== null) {
+      return mutatedPath
+    }
+  }
+
+  return null
+}
+
+function describeAction (action) {
+  return action && typeof action.type !== 'undefined'
+    ? `"${String(action.type)}"`
+    : 'an action'
+}
+
+/**
+ * Creates a middleware that throws when the state is mutated, either by a
+ * reducer while handling an action, or by any other code between two
+ * dispatches. Mutations break the reference checks that `combineReducers`
+ * and most subscribers rely on to know what has changed.
+ *
+ * The whole state tree is tracked on every dispatch, which is slow, so this
+ * middleware does nothing in production.
+ *
+ * @param {Object} [options] Mutation check options.
+ * @param {string[]} [options.ignoredPaths] Dotted paths (such as
+ * `entities.users`) of subtrees not to track.
+ * @param {Function} [options.isImmutable] Returns true for values that cannot
+ * be mutated and need no tracking. By default these are primitives and frozen
+ * objects.
+ * @returns {Function} A Redux middleware.
+ */
+export default function createMutationCheckMiddleware (options = {}) {
+  if (process.env.NODE_ENV === 'production') {
+    return () => next => action => next(action)
+  }
+
+  const { ignoredPaths = [], isImmutable = isImmutableDefault } = options
+
+  return ({ getState }) => {
+    let tracked = trackProperties(isImmutable, ignoredPaths, getState())
+    let lastAction
+
+    return next => action => {
+      // 先检查上一次dispatch之后，是否有store之外的代码修改了state
+      let mutatedPath = detectMutations(
+        isImmutable,
+        ignoredPaths,
+        tracked,
+        getState()
+      )
+      if (mutatedPath !== null) {
+        throw new Error(
+          `A state mutation was detected between dispatches, in the path ` +
+            `"${mutatedPath}", after ${describeAction(lastAction)} was ` +
+            `dispatched. This may cause incorrect behavior. ` +
+            `(http://redux.js.org/docs/Troubleshooting.html#never-mutate-reducer-arguments)`
+        )
+      }
+
+      lastAction = action
+      const result = next(action)
+
+      // 再检查reducer在处理这个action时是否修改了原来的state
+      const state = getState()
+      mutatedPath = detectMutations(isImmutable, ignoredPaths, tracked, state)
+      tracked = trackProperties(isImmutable, ignoredPaths, state)
+      if (mutatedPath !== null) {
+        throw new Error(
+          `A state mutation was detected inside a dispatch, in the path ` +
+            `"${mutatedPath}". Take a look at the reducer(s) handling ` +
+            `${describeAction(action)}. ` +
+            `(http://redux.js.org/docs/Troubleshooting.html#never-mutate-reducer-arguments)`
+        )
+      }
+
+      return result
+    }
+  }
+}
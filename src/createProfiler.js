@@ -0,0 +1,328 @@
+import ActionTypes from './utils/actionTypes'
+import isPlainObject from './utils/isPlainObject'
+import warning from './utils/warning'
+
+function defaultNow () {
+  return typeof performance !== 'undefined' &&
+    typeof performance.now === 'function'
+    ? performance.now()
+    : Date.now()
+}
+
+// 统计时按action type分组，thunk之类不是plain object的action单独归为一类
+// redux私有的action type带有随机后缀，去掉后缀让它们各自只占一项
+function getActionType (action) {
+  if (isPlainObject(action)) {
+    if (action.type === ActionTypes.INIT) return '@@redux/INIT'
+    if (action.type === ActionTypes.REPLACE) return '@@redux/REPLACE'
+    if (String(action.type).indexOf('@@redux/PROBE_UNKNOWN_ACTION') === 0) {
+      return '@@redux/PROBE_UNKNOWN_ACTION'
+    }
+    return String(action.type)
+  }
+  return typeof action === 'function' ? '<function>' : '<non-plain action>'
+}
+
+// 只保留最近sampleSize次的耗时，用来计算mean、p95和max
+function createStats (sampleSize) {
+  const samples = []
+  let count = 0
+  let next = 0
+
+  function record (duration) {
+    count += 1
+    if (samples.length < sampleSize) {
+      samples.push(duration)
+    } else {
+      samples[next] = duration
+      next = (next + 1) % sampleSize
+    }
+  }
+
+  function summarize () {
+    const sorted = samples.slice().sort((a, b) => a - b)
+    const total = sorted.reduce((sum, duration) => sum + duration, 0)
+    return {
+      count,
+      mean: total / sorted.length,
+      p95: sorted[Math.ceil(sorted.length * 0.95) - 1],
+      max: sorted[sorted.length - 1]
+    }
+  }
+
+  return { record, summarize }
+}
+
+/**
+ * Creates a profiler measuring how long each part of a dispatch takes, per
+ * action type. The profiler provides:
+ *
+ * - `reducers(reducers)` wraps every reducer of an object that will be passed
+ *   to `combineReducers`, to time each slice reducer. Nested objects are
+ *   wrapped as well, and their reducers are named by their dotted key path.
+ * - `middleware(middleware, name)` wraps a middleware before it is passed to
+ *   `applyMiddleware`, to time it. Only the time spent in the middleware
+ *   itself is counted, not the time spent in the rest of the chain.
+ * - `enhancer` is a store enhancer timing each whole dispatch and each
+ *   listener. It should be the first store enhancer in the composition chain,
+ *   so that the dispatch it times includes the middleware. Listeners are
+ *   named after their function name, or numbered when they have none.
+ *
+ * The enhanced store gets `getProfile()`, which returns, for the `dispatch`
+ * and for each reducer, middleware and listener, an object mapping every
+ * action type to its `{ count, mean, p95, max }` durations in milliseconds.
+ * The count covers every call, the other figures cover the most recent ones
+ * only. Listeners notified by a dispatch that did not go through the profiled
+ * store, such as one made by another store enhancer, are recorded under
+ * `'<unknown>'`. `resetProfile()` clears all of them.
+ *
+ * When a dispatch takes longer than the budget, a warning is emitted.
+ *
+ * @param {Object} [options] Profiler options.
+ * @param {Number} [options.budget] The longest time a dispatch may take, in
+ * milliseconds, before a warning is emitted. Defaults to 16, about one frame.
+ * @param {Number} [options.sampleSize] How many of the most recent durations
+ * are kept for each statistic. Defaults to 100.
+ * @param {Function} [options.now] Returns the current time in milliseconds.
+ * Defaults to `performance.now` where available.
+ * @returns {Object} The profiler.
+ */
+export default function createProfiler (options = {}) {
+  const { budget = 16, sampleSize = 100, now = defaultNow } = options
+
+  if (typeof sampleSize !== 'number' || sampleSize < 1) {
+    throw new Error('Expected the sample size to be a positive number.')
+  }
+
+  let profile
+
+  function resetProfile () {
+    profile = { dispatch: {}, reducers: {}, middleware: {}, listeners: {} }
+  }
+
+  function record (category, name, actionType, duration) {
+    const byName = profile[category]
+    if (!byName.hasOwnProperty(name)) {
+      byName[name] = {}
+    }
+    const byType = byName[name]
+    if (!byType.hasOwnProperty(actionType)) {
+      byType[actionType] = createStats(sampleSize)
+    }
+    byType[actionType].record(duration)
+  }
+
+  function getProfile () {
+    const result = {}
+    Object.keys(profile).forEach(category => {
+      result[category] = {}
+      Object.keys(profile[category]).forEach(name => {
+        const byType = profile[category][name]
+        result[category][name] = {}
+        Object.keys(byType).forEach(actionType => {
+          result[category][name][actionType] = byType[actionType].summarize()
+        })
+      })
+    })
+    return result
+  }
+
+  function timed (category, name, actionType, fn) {
+    const start = now()
+    try {
+      return fn()
+    } finally {
+      record(category, name, actionType, now() - start)
+    }
+  }
+
+  function reducers (reducersObject, keyPath) {
+    if (!isPlainObject(reducersObject)) {
+      throw new Error('Expected the reducers to be an object.')
+    }
+
+    const wrapped = {}
+    Object.keys(reducersObject).forEach(key => {
+      const reducer = reducersObject[key]
+      const name = keyPath ? `${keyPath}.${key}` : key
+
+      if (isPlainObject(reducer)) {
+        wrapped[key] = reducers(reducer, name)
+      } else if (typeof reducer === 'function') {
+        wrapped[key] = (state, action) =>
+          timed('reducers', name, getActionType(action), () =>
+            reducer(state, action)
+          )
+        // 保留声明的actionTypes，combineReducers依旧可以跳过这个reducer
+        if (reducer.actionTypes) {
+          wrapped[key].actionTypes = reducer.actionTypes
+        }
+      } else {
+        // 不是函数的值原样保留，交给combineReducers去警告
+        wrapped[key] = reducer
+      }
+    })
+    return wrapped
+  }
+
+  function middleware (middlewareToProfile, name) {
+    if (typeof middlewareToProfile !== 'function') {
+      throw new Error('Expected the middleware to be a function.')
+    }
+
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Expected the middleware name to be a non-empty string.')
+    }
+
+    return middlewareAPI => {
+      const chain = middlewareToProfile(middlewareAPI)
+
+      return next => {
+        // 正在执行的调用，中间件里再次dispatch时会重新进入这个中间件
+        const frames = []
+
+        // 统计交给后续中间件的时间，最后从这个中间件的耗时中扣掉
+        const handler = chain(action => {
+          const frame = frames[frames.length - 1]
+          const start = now()
+          try {
+            return next(action)
+          } finally {
+            if (frame) {
+              frame.excluded += now() - start
+            }
+          }
+        })
+
+        return action => {
+          const frame = { excluded: 0 }
+          frames.push(frame)
+          const start = now()
+          try {
+            return handler(action)
+          } finally {
+            frames.pop()
+            record(
+              'middleware',
+              name,
+              getActionType(action),
+              now() - start - frame.excluded
+            )
+          }
+        }
+      }
+    }
+  }
+
+  const enhancer = createStore => (...args) => {
+    const store = createStore(...args)
+    let listenerCount = 0
+    // 正在进行的dispatch、batch和transaction，监听函数的耗时计入栈顶的action type
+    // 监听函数中嵌套的dispatch结束之后，栈顶就恢复为外层的action
+    const frames = []
+
+    function dispatch (action) {
+      const actionType = getActionType(action)
+      frames.push({ actionType })
+
+      const start = now()
+      let result
+      try {
+        result = store.dispatch(action)
+      } finally {
+        frames.pop()
+        // batch结束时的通知对应的是batch中最后一个action
+        // 通知开始之后，监听函数中嵌套的dispatch不再改变它
+        const parent = frames[frames.length - 1]
+        if (parent && parent.isBatch && !parent.isNotifying) {
+          parent.actionType = actionType
+        }
+      }
+      const duration = now() - start
+      record('dispatch', 'dispatch', actionType, duration)
+
+      if (duration > budget) {
+        warning(
+          `Dispatching "${actionType}" took ${duration.toFixed(1)}ms, ` +
+            `which exceeds the budget of ${budget}ms. ` +
+            `Use store.getProfile() to find the slow reducers, middleware and listeners.`
+        )
+      }
+
+      return result
+    }
+
+    function subscribe (...subscribeArgs) {
+      // 监听函数也可以是subscribe(selector, listener, equalityFn)中的第二个参数
+      const index = subscribeArgs.length === 1 ? 0 : 1
+      const listener = subscribeArgs[index]
+
+      if (typeof listener === 'function') {
+        listenerCount += 1
+        const name = listener.name || `listener ${listenerCount}`
+        subscribeArgs[index] = (...listenerArgs) => {
+          const frame = frames[frames.length - 1]
+          if (frame && frame.isBatch) {
+            frame.isNotifying = true
+          }
+          // 不经过这里的dispatch（比如REHYDRATE）触发的通知，归到单独的一类
+          const actionType = frame ? frame.actionType : '<unknown>'
+          return timed('listeners', name, actionType, () =>
+            listener(...listenerArgs)
+          )
+        }
+      }
+
+      return store.subscribe(...subscribeArgs)
+    }
+
+    function runBatch (run) {
+      frames.push({ actionType: undefined, isBatch: true, isNotifying: false })
+      try {
+        return run()
+      } finally {
+        frames.pop()
+      }
+    }
+
+    function batch (callback) {
+      return runBatch(() => store.batch(callback))
+    }
+
+    // transaction中的tx.dispatch同样要被计时
+    function transaction (callback) {
+      return runBatch(() =>
+        store.transaction(tx => callback({ ...tx, dispatch }))
+      )
+    }
+
+    // replaceReducer在内部dispatch REPLACE，同样要让监听函数的耗时计入它
+    function replaceReducer (nextReducer) {
+      frames.push({ actionType: '@@redux/REPLACE' })
+      try {
+        return store.replaceReducer(nextReducer)
+      } finally {
+        frames.pop()
+      }
+    }
+
+    return {
+      ...store,
+      dispatch,
+      subscribe,
+      batch,
+      transaction,
+      replaceReducer,
+      getProfile,
+      resetProfile
+    }
+  }
+
+  resetProfile()
+
+  return {
+    reducers,
+    middleware,
+    enhancer
+  }
+}
@@ -0,0 +1,37 @@
+import isPlainObject from './utils/isPlainObject'
+import isPromise from './utils/isPromise'
+
+/**
+ * Creates a middleware that lets you dispatch Promises, in two forms:
+ *
+ * - A Promise of an action. The action is dispatched once the Promise
+ *   resolves.
+ * - An action whose `payload` is a Promise. Once it settles, the same action
+ *   is dispatched again with the resolved value as `payload`, or with the
+ *   rejection reason as `payload` and `error: true`.
+ *
+ * In both cases `dispatch` returns a Promise settling after the resulting
+ * action has been dispatched.
+ *
+ * @returns {Function} A Redux middleware.
+ */
+export default function createPromiseMiddleware () {
+  return ({ dispatch }) => next => action => {
+    if (isPromise(action)) {
+      return action.then(dispatch)
+    }
+
+    if (isPlainObject(action) && isPromise(action.payload)) {
+      return action.payload.then(
+        payload => dispatch({ ...action, payload }),
+        error => {
+          dispatch({ ...action, payload: error, error: true })
+          // 依旧以reject结束，让调用者也能处理这个错误
+          return Promise.reject(error)
+        }
+      )
+    }
+
+    return next(action)
+  }
+}
@@ -0,0 +1,101 @@
+function strictEqual (a, b) {
+  return a === b
+}
+
+function areArgumentsEqual (equalityCheck, prev, next) {
+  if (prev === null || prev.length !== next.length) {
+    return false
+  }
+  for (let i = 0; i < prev.length; i++) {
+    if (!equalityCheck(prev[i], next[i])) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Creates a memoized selector. The input selectors are called with the
+ * arguments of the selector, and the result function is called with their
+ * results, but only when those results differ from the ones of a previous
+ * call still in the cache.
+ *
+ * The returned selector has a `recomputations()` method returning how many
+ * times the result function has been called, a `resetRecomputations()`
+ * method, and a `resultFunc` property, which are handy for profiling and
+ * testing.
+ *
+ * @param {Function|Function[]} inputSelectors The input selectors.
+ * @param {Function} resultFn Computes the derived data from the results of
+ * the input selectors.
+ * @param {Object} [options] Memoization options.
+ * @param {number} [options.cacheSize] How many distinct input results to
+ * remember. Defaults to 1.
+ * @param {Function} [options.equalityCheck] Compares the results of the input
+ * selectors. Defaults to strict equality.
+ * @returns {Function} The memoized selector.
+ */
+export default function createSelector (inputSelectors, resultFn, options = {}) {
+  const selectors = Array.isArray(inputSelectors)
+    ? inputSelectors
+    : [inputSelectors]
+
+  if (!selectors.every(selector => typeof selector === 'function')) {
+    throw new Error('Expected the input selectors to be functions.')
+  }
+
+  if (typeof resultFn !== 'function') {
+    throw new Error('Expected the result function to be a function.')
+  }
+
+  const { cacheSize = 1, equalityCheck = strictEqual } = options
+  if (!(cacheSize >= 1)) {
+    throw new Error('Expected the cache size to be at least 1.')
+  }
+
+  let recomputations = 0
+  // 最近使用的放在最前面，超出cacheSize时丢掉最后面的
+  let cache = []
+  // 参数（通常就是state）和上次完全相同时，连input selector都不用调用
+  let lastArgs = null
+  let lastResult
+
+  function selector (...args) {
+    if (areArgumentsEqual(strictEqual, lastArgs, args)) {
+      return lastResult
+    }
+
+    const inputs = selectors.map(inputSelector => inputSelector(...args))
+
+    let entry
+    for (let i = 0; i < cache.length; i++) {
+      if (areArgumentsEqual(equalityCheck, cache[i].inputs, inputs)) {
+        entry = cache[i]
+        cache.splice(i, 1)
+        break
+      }
+    }
+
+    if (!entry) {
+      recomputations++
+      entry = { inputs, result: resultFn(...inputs) }
+    }
+
+    cache.unshift(entry)
+    if (cache.length > cacheSize) {
+      cache = cache.slice(0, cacheSize)
+    }
+
+    lastArgs = args
+    lastResult = entry.result
+    return lastResult
+  }
+
+  selector.resultFunc = resultFn
+  selector.recomputations = () => recomputations
+  selector.resetRecomputations = () => {
+    recomputations = 0
+  }
+
+  return selector
+}
@@ -0,0 +1,136 @@
+import isPlainObject from './utils/isPlainObject'
+import warning from './utils/warning'
+
+/**
+ * @param {any} value The value to inspect.
+ * @returns {boolean} True if the value survives a round trip through
+ * `JSON.stringify` and `JSON.parse` unchanged, as far as its own type goes.
+ */
+export function isSerializableDefault (value) {
+  const type = typeof value
+  return (
+    type === 'undefined' ||
+    value === null ||
+    type === 'string' ||
+    type === 'boolean' ||
+    type === 'number' ||
+    Array.isArray(value) ||
+    isPlainObject(value)
+  )
+}
+
+function describeValue (value) {
+  if (typeof value === 'function') {
+    return 'function'
+  }
+  if (typeof value === 'object' && value.constructor && value.constructor.name) {
+    return value.constructor.name
+  }
+  return {}.toString.call(value).match(/\s([a-z|A-Z]+)/)[1]
+}
+
+// 深度优先遍历，返回第一个无法序列化的值所在的路径
+function findNonSerializableValue (value, isSerializable, ignoredPaths, path) {
+  if (!isSerializable(value)) {
+    return { keyPath: path || '<root>', value }
+  }
+
+  if (typeof value !== 'object' || value === null) {
+    return null
+  }
+
+  const keys = Object.keys(value)
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i]
+    const childPath = path ? `${path}.${key}` : key
+    if (ignoredPaths.indexOf(childPath) !== -1) {
+      continue
+    }
+
+    const found = findNonSerializableValue(
+      value[key],
+      isSerializable,
+      ignoredPaths,
+      childPath
+    )
+    if (found) {
+      return found
+    }
+  }
+
+  return null
+}
+
+/**
+ * Creates a middleware that warns whenever an action, or the state produced
+ * by it, contains a value that cannot be serialized, such as a Date, a Map,
+ * a class instance or a function. Such values break persistence, logging and
+ * time travelling.
+ *
+ * The whole state tree is walked on every dispatch, which is slow, so this
+ * middleware does nothing in production.
+ *
+ * @param {Object} [options] Serializability check options.
+ * @param {string[]} [options.ignoredActions] Action types not to check.
+ * @param {string[]} [options.ignoredActionPaths] Dotted paths inside actions
+ * not to check, such as `meta.promise`.
+ * @param {string[]} [options.ignoredPaths] Dotted paths inside the state not
+ * to check.
+ * @param {Function} [options.isSerializable] Returns true for serializable
+ * values. Defaults to `isSerializableDefault`.
+ * @returns {Function} A Redux middleware.
+ */
+export default function createSerializableCheckMiddleware (options = {}) {
+  if (process.env.NODE_ENV === 'production') {
+    return () => next => action => next(action)
+  }
+
+  const {
+    ignoredActions = [],
+    ignoredActionPaths = [],
+    ignoredPaths = [],
+    isSerializable = isSerializableDefault
+  } = options
+
+  return ({ getState }) => next => action => {
+    // 不是plain object的action（比如thunk）交给其它中间件和dispatch去处理
+    const shouldCheck =
+      isPlainObject(action) && ignoredActions.indexOf(action.type) === -1
+
+    if (shouldCheck) {
+      const found = findNonSerializableValue(
+        action,
+        isSerializable,
+        ignoredActionPaths,
+        ''
+      )
+      if (found) {
+        warning(
+          `A non-serializable value (${describeValue(found.value)}) was ` +
+            `detected in an action, in the path "${found.keyPath}". ` +
+            `Take a look at the logic that dispatched "${String(action.type)}".`
+        )
+      }
+    }
+
+    const result = next(action)
+
+    if (shouldCheck) {
+      const found = findNonSerializableValue(
+        getState(),
+        isSerializable,
+        ignoredPaths,
+        ''
+      )
+      if (found) {
+        warning(
+          `A non-serializable value (${describeValue(found.value)}) was ` +
+            `detected in the state, in the path "${found.keyPath}". ` +
+            `Take a look at the reducer(s) handling "${String(action.type)}".`
+        )
+      }
+    }
+
+    return result
+  }
+}
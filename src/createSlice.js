@@ -0,0 +1,98 @@
+import createAction from './createAction'
+
+/**
+ * Generates a reducer together with its action types and action creators,
+ * from an object of "case reducers" handling one action type each. The
+ * action types are namespaced with the name of the slice, as in
+ * `todos/addTodo`.
+ *
+ * The returned `reducer` returns `initialState` when the state is undefined
+ * and the current state for any unknown action, so it can be passed straight
+ * to `combineReducers`. It declares the action types it handles as
+ * `reducer.actionTypes`, so that `combineReducers` skips it for the other
+ * actions. The returned `actions` is an object of action creators (see
+ * `createAction`) that can be passed straight to `bindActionCreators`.
+ *
+ * @param {Object} options Slice options.
+ * @param {string} options.name The name of the slice, used as the action type
+ * prefix.
+ * @param {any} options.initialState The initial state. It may not be
+ * undefined, but can be null.
+ * @param {Object} options.reducers An object whose values are case reducers
+ * called with `(state, action)`, or objects `{ reducer, prepare }` whose
+ * `prepare` function customizes the action creator.
+ * @param {Object} [options.extraReducers] An object whose keys are action
+ * types from outside of the slice, and whose values are their case reducers.
+ * Action creators may be used as keys, as in `[otherSlice.actions.reset]`.
+ *
+ * @returns {Object} The slice, as `{ name, reducer, actions, caseReducers }`.
+ */
+export default function createSlice (options) {
+  const { name, initialState, reducers = {}, extraReducers = {} } =
+    options || {}
+
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('Expected the slice name to be a non-empty string.')
+  }
+
+  if (typeof initialState === 'undefined') {
+    throw new Error(
+      `The initialState of slice "${name}" may not be undefined. ` +
+        `If you don't want to set a value for this slice, you can use null instead.`
+    )
+  }
+
+  const actions = {}
+  const caseReducers = {}
+  // 以完整的action type为key的case reducer，reducer中直接查表
+  const caseReducersByType = {}
+
+  Object.keys(extraReducers).forEach(type => {
+    caseReducersByType[type] = extraReducers[type]
+  })
+
+  Object.keys(reducers).forEach(key => {
+    const definition = reducers[key]
+    const caseReducer =
+      typeof definition === 'function' ? definition : definition.reducer
+    const prepare =
+      typeof definition === 'function' ? undefined : definition.prepare
+
+    if (typeof caseReducer !== 'function') {
+      throw new Error(
+        `Expected the case reducer "${key}" of slice "${name}" to be a ` +
+          `function or an object with a "reducer" function.`
+      )
+    }
+
+    const type = `${name}/${key}`
+    if (caseReducersByType.hasOwnProperty(type)) {
+      throw new Error(
+        `The action type "${type}" is handled by both a case reducer and ` +
+          `extraReducers of slice "${name}".`
+      )
+    }
+
+    caseReducers[key] = caseReducer
+    caseReducersByType[type] = caseReducer
+    actions[key] = createAction(type, prepare)
+  })
+
+  function reducer (state = initialState, action) {
+    // 用hasOwnProperty而不是直接取值，避免action type恰好是"constructor"之类的原型属性
+    if (!caseReducersByType.hasOwnProperty(action.type)) {
+      return state
+    }
+    return caseReducersByType[action.type](state, action)
+  }
+
+  // 声明处理的action type，combineReducers只会在这些action到来时调用它
+  reducer.actionTypes = Object.keys(caseReducersByType)
+
+  return {
+    name,
+    reducer,
+    actions,
+    caseReducers
+  }
+}
@@ -2,6 +2,11 @@ import $$observable from 'symbol-observable'
 
 import ActionTypes from './utils/actionTypes'
 import isPlainObject from './utils/isPlainObject'
+import createStoreSelect from './utils/createStoreSelect'
+
+function strictEqual (a, b) {
+  return a === b
+}
 
 /**
  * Creates a Redux store that holds the state tree.
@@ -22,26 +27,65 @@ import isPlainObject from './utils/isPlainObject'
  *
  * @param {Function} [enhancer] The store enhancer. You may optionally specify it
  * to enhance the store with third-party capabilities such as middleware,
- * time travel, persistence, etc. The only store enhancer that ships with Redux
- * is `applyMiddleware()`.
+ * time travel, persistence, etc. The store enhancers that ship with Redux
+ * include `applyMiddleware()`.
+ *
+ * @param {Object} [options] Store options. When there is no enhancer, they
+ * may also be passed as the third argument, as in
+ * `createStore(reducer, preloadedState, { onError })`, or as the third
+ * argument after the enhancer when `preloadedState` is omitted, as in
+ * `createStore(reducer, enhancer, { onError })`.
+ * @param {Function} [options.onError] Called with `(error, { phase, action,
+ * listenerIndex })` when the reducer (`phase` is `'reducer'`) or a change
+ * listener (`phase` is `'listener'`) throws. When it is provided, a failing
+ * reducer leaves the state as it was before the action, and a failing
+ * listener does not prevent the other listeners from being notified. Errors
+ * thrown by the reducer inside a `transaction()` are not passed to it, so that
+ * the whole transaction is rolled back.
  *
  * @returns {Store} A Redux store that lets you read the state, dispatch actions
  * and subscribe to changes.
  */
-export default function createStore (reducer, preloadedState, enhancer) {
-  // 当只有两个参数，且第二个参数为函数时，则实际传递的是reducer和enhancer
-  if (typeof preloadedState === 'function' && typeof enhancer === 'undefined') {
+export default function createStore (
+  reducer,
+  preloadedState,
+  enhancer,
+  options
+) {
+  // 当第二个参数为函数，且第三个参数不是函数时，则实际传递的是reducer、enhancer和options
+  if (typeof preloadedState === 'function' && typeof enhancer !== 'function') {
+    options = enhancer
     enhancer = preloadedState
     preloadedState = undefined
   }
 
+  // 没有enhancer时，第三个参数为plain object且没有第四个参数，则实际传递的是options
+  if (isPlainObject(enhancer) && typeof options === 'undefined') {
+    options = enhancer
+    enhancer = undefined
+  }
+
+  if (
+    typeof options !== 'undefined' &&
+    (typeof options !== 'object' || options === null)
+  ) {
+    throw new Error('Expected the options to be an object.')
+  }
+
   // 如果有第三个参数且第三个参数不为函数则报错（enhancer必须为函数）
   if (typeof enhancer !== 'undefined') {
     if (typeof enhancer !== 'function') {
       throw new Error('Expected the enhancer to be a function.')
     }
     // 如果穿入了applyMiddleware，则控制反转，交由enhancer来生成store
-    return enhancer(createStore)(reducer, preloadedState)
+    // options不经过enhancer传递，而是直接绑定在最终创建store的createStore上
+    // 这样只接收(reducer, preloadedState)的enhancer也不会把options弄丢
+    if (typeof options === 'undefined') {
+      return enhancer(createStore)(reducer, preloadedState)
+    }
+    return enhancer((reducer, preloadedState) =>
+      createStore(reducer, preloadedState, undefined, options)
+    )(reducer, preloadedState)
   }
 
   // 传入的reducer必须是一个纯函数，且是必填参数
@@ -49,11 +93,24 @@ export default function createStore (reducer, preloadedState, enhancer) {
     throw new Error('Expected the reducer to be a function.')
   }
 
+  const { onError } = options || {}
+  if (typeof onError !== 'undefined' && typeof onError !== 'function') {
+    throw new Error('Expected the onError option to be a function.')
+  }
+
   let currentReducer = reducer
   let currentState = preloadedState
   let currentListeners = []
   let nextListeners = currentListeners
   let isDispatching = false
+  // batch的嵌套层数，大于0时dispatch只执行reducer，不通知listener
+  let batchDepth = 0
+  // batch期间被推迟通知的最后一个action，没有被推迟的通知时为undefined
+  let pendingAction
+  // transaction的嵌套层数，大于0时reducer的错误必须抛出，才能回滚整个transaction
+  let transactionDepth = 0
+  // transaction中第一个reducer错误，即使callback自己catch了这个错误，transaction也必须回滚
+  let transactionReducerError
 
   // 添加这个函数的意图在下面会讲到，先看代码层面上的作用：
   // 如果nextListeners和currentListeners指向同一个对象
@@ -84,6 +141,17 @@ export default function createStore (reducer, preloadedState, enhancer) {
     return currentState
   }
 
+  /**
+   * Calls the given selector with the current state tree. As long as the
+   * state has not changed, the previous result of the same selector is reused
+   * without calling it again, so it can be called from every listener.
+   *
+   * @param {Function} selector Derives a value from the state tree.
+   * @returns {any} The value returned by the selector.
+   */
+  // getState在reducer执行时会抛错，所以select同样不能在reducer中调用
+  const select = createStoreSelect(getState)
+
   /**
    * Adds a change listener. It will be called any time an action is dispatched,
    * and some part of the state tree may potentially have changed. You may then
@@ -104,14 +172,35 @@ export default function createStore (reducer, preloadedState, enhancer) {
    * registered before the `dispatch()` started will be called with the latest
    * state by the time it exits.
    *
+   * You may also subscribe to a slice of the state tree by passing a selector
+   * as the first argument. In that case the listener is called with
+   * `(nextSlice, prevSlice)`, and only when the selected value has changed
+   * according to `equalityFn` (strict equality by default).
+   *
+   * @param {Function} [selector] Selects the slice of the state to watch.
    * @param {Function} listener A callback to be invoked on every dispatch.
+   * @param {Function} [equalityFn] Compares the previous and next slices.
    * @returns {Function} A function to remove this change listener.
    */
-  function subscribe (listener) {
+  function subscribe (selector, listener, equalityFn) {
+    // 只传入了一个参数时，就是原来的subscribe(listener)
+    if (arguments.length === 1) {
+      listener = selector
+      selector = undefined
+    }
+
     // 传入的listener必须是一个可以调用的函数，否则报错
     if (typeof listener !== 'function') {
       throw new Error('Expected listener to be a function.')
     }
+
+    if (typeof selector !== 'undefined' && typeof selector !== 'function') {
+      throw new Error('Expected the selector to be a function.')
+    }
+
+    if (typeof equalityFn !== 'undefined' && typeof equalityFn !== 'function') {
+      throw new Error('Expected the equalityFn to be a function.')
+    }
     // 同上，保证纯函数不带来副作用
     if (isDispatching) {
       throw new Error(
@@ -124,6 +213,12 @@ export default function createStore (reducer, preloadedState, enhancer) {
 
     let isSubscribed = true
 
+    // 传入了selector时，真正放进listeners中的是包装过的listener
+    // unsubscribe时也要用它来查找下标
+    if (selector) {
+      listener = createSelectorListener(selector, listener, equalityFn)
+    }
+
     // 在每次subscribe的时候，深拷贝一次currentListeners，再对nextListener push新的listener
     ensureCanMutateNextListeners()
     nextListeners.push(listener)
@@ -151,6 +246,23 @@ export default function createStore (reducer, preloadedState, enhancer) {
     }
   }
 
+  // 包装一个只在selector选出的值变化时才会被调用的listener
+  // 这里直接读currentState而不是getState()，因为listener总是在reducer执行完之后调用
+  function createSelectorListener (selector, listener, equalityFn = strictEqual) {
+    let currentSlice = selector(currentState)
+
+    return function selectorListener () {
+      const nextSlice = selector(currentState)
+      if (equalityFn(currentSlice, nextSlice)) {
+        return
+      }
+
+      const prevSlice = currentSlice
+      currentSlice = nextSlice
+      listener(nextSlice, prevSlice)
+    }
+  }
+
   /**
    * Dispatches an action. It is the only way to trigger a state change.
    *
@@ -195,15 +307,47 @@ export default function createStore (reducer, preloadedState, enhancer) {
     if (isDispatching) {
       throw new Error('Reducers may not dispatch actions.')
     }
-    // currentReducer不可预料是否会报错，所以try，但不catch
+    // currentReducer不可预料是否会报错，所以try
+    // 没有传入onError时不catch，直接抛给调用者
+    // 在transaction中也直接抛出，由transaction回滚之前所有的action
+    let reducerError
     try {
       isDispatching = true
       currentState = currentReducer(currentState, action)
+    } catch (error) {
+      if (transactionDepth > 0 && !transactionReducerError) {
+        transactionReducerError = { error }
+      }
+      if (!onError || transactionDepth > 0) {
+        throw error
+      }
+      reducerError = { error }
     } finally {
       // 必须在结束的时候将isDispatching归位
       isDispatching = false
     }
 
+    // currentState只有在reducer正常返回时才会被赋值，所以此时它依旧是之前的state，相当于回滚
+    // state没有变化，也就不需要通知listener
+    // 放在isDispatching归位之后调用，onError中才可以调用getState和dispatch
+    if (reducerError) {
+      onError(reducerError.error, { phase: 'reducer', action })
+      return action
+    }
+
+    // 处于batch中时，推迟到最外层的batch结束时再统一通知
+    if (batchDepth > 0) {
+      pendingAction = action
+      return action
+    }
+
+    notifyListeners(action)
+
+    return action
+  }
+
+  // 依次调用当前快照中的listener，dispatch和batch共用
+  function notifyListeners (action) {
     // 在这里体现了currentListeners和nextListeners的作用
     // 我去翻了一下redux的commit message，找到了对listener做深拷贝的原因：https://github.com/reactjs/redux/issues/461
     // 简单来说就是在listener中可能有unsubscribe操作，比如有3个listener(下标0,1,2)，在第2个listener执行时unsubscribe了自己
@@ -224,10 +368,116 @@ export default function createStore (reducer, preloadedState, enhancer) {
       // 是因为直接listeners[i]()会把listeners作为this泄漏，而赋值为listener()后this指向全局变量
       // https://github.com/reactjs/redux/commit/8e82c15f1288a0a5c5c886ffd87e7e73dc0103e1
       const listener = listeners[i]
-      listener()
+      // 有onError时，一个listener抛错不影响之后的listener
+      if (onError) {
+        try {
+          listener()
+        } catch (error) {
+          onError(error, { phase: 'listener', action, listenerIndex: i })
+        }
+      } else {
+        listener()
+      }
     }
+  }
 
-    return action
+  /**
+   * Runs the given callback as a batch. Every action dispatched inside the
+   * callback goes through the reducer (and any middleware) as usual, but the
+   * change listeners are notified only once, after the outermost batch exits.
+   *
+   * Batches may be nested. The subscription snapshot rules of `subscribe()`
+   * still apply: the single notification uses the most recent snapshot of the
+   * subscription list.
+   *
+   * @param {Function} callback A function that dispatches any number of actions.
+   * @returns {any} The value returned by the callback.
+   */
+  function batch (callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('Expected the batch callback to be a function.')
+    }
+
+    // 同上，保证纯函数不带来副作用
+    if (isDispatching) {
+      throw new Error('Reducers may not start a batch.')
+    }
+
+    batchDepth++
+    try {
+      // callback中应该调用store.dispatch（而不是直接调用reducer）
+      // 这样applyMiddleware串联起来的中间件依旧能看到每一个action
+      return callback()
+    } finally {
+      batchDepth--
+      // 即使callback中途抛错，已经执行过的action也改变了state，依旧需要通知
+      if (batchDepth === 0 && typeof pendingAction !== 'undefined') {
+        const action = pendingAction
+        pendingAction = undefined
+        notifyListeners(action)
+      }
+    }
+  }
+
+  /**
+   * Runs the given callback as a transaction. Like a batch, the change
+   * listeners are notified only once, after the outermost batch or
+   * transaction exits, so the intermediate states are never visible to them.
+   * In addition, if the callback or a reducer throws, the state is restored to
+   * what it was before the transaction, no listener is notified for the
+   * actions dispatched inside it, and the error is rethrown. This also happens
+   * when the callback catches the error thrown by a reducer and returns.
+   *
+   * The callback receives a `tx` object whose `dispatch` and `getState` should
+   * be used inside the transaction. Store enhancers such as `applyMiddleware`
+   * make `tx.dispatch` go through the middleware. Only the actions dispatched
+   * before the callback returns are part of the transaction.
+   *
+   * @param {Function} callback A function called with `tx`, that dispatches
+   * any number of actions.
+   * @returns {any} The value returned by the callback.
+   */
+  function transaction (callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('Expected the transaction callback to be a function.')
+    }
+
+    // 同上，保证纯函数不带来副作用
+    if (isDispatching) {
+      throw new Error('Reducers may not start a transaction.')
+    }
+
+    // 记下开始时的state和被推迟的通知，失败时恢复到这里
+    const previousState = currentState
+    const previousPendingAction = pendingAction
+
+    batchDepth++
+    transactionDepth++
+    try {
+      const result = callback({ dispatch, getState })
+      // callback中catch了reducer的错误并正常返回时，同样回滚并抛出这个错误
+      if (transactionReducerError) {
+        throw transactionReducerError.error
+      }
+      return result
+    } catch (error) {
+      currentState = previousState
+      pendingAction = previousPendingAction
+      throw error
+    } finally {
+      transactionDepth--
+      batchDepth--
+      // 最外层的transaction结束时清除记录的错误
+      if (transactionDepth === 0) {
+        transactionReducerError = undefined
+      }
+      // 失败时pendingAction已经恢复，transaction中的action不会触发通知
+      if (batchDepth === 0 && typeof pendingAction !== 'undefined') {
+        const action = pendingAction
+        pendingAction = undefined
+        notifyListeners(action)
+      }
+    }
   }
 
   /**
@@ -310,6 +560,9 @@ export default function createStore (reducer, preloadedState, enhancer) {
     dispatch,
     subscribe,
     getState,
+    select,
+    batch,
+    transaction,
     replaceReducer,
     [$$observable]: observable
   }
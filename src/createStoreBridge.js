@@ -0,0 +1,296 @@
+import isPlainObject from './utils/isPlainObject'
+
+// 转发的action在meta中记录来源和已经到达过的store，用来防止循环转发
+const META_KEY = 'storeBridge'
+
+function createReadOnlyError (key) {
+  if (typeof key === 'undefined') {
+    return new Error(
+      'Cannot modify the state of a bridged store: it is read-only.'
+    )
+  }
+  return new Error(
+    `Cannot modify "${String(key)}": the state of a bridged store is read-only.`
+  )
+}
+
+// Map、Set和Date的方法依赖内部槽，this必须是真实的对象而不是proxy
+function isBuiltIn (value) {
+  return (
+    value instanceof Map ||
+    value instanceof Set ||
+    value instanceof WeakMap ||
+    value instanceof WeakSet ||
+    value instanceof Date
+  )
+}
+
+function isMutator (target, key) {
+  if (typeof key !== 'string') {
+    return false
+  }
+  if (target instanceof Date) {
+    return key.indexOf('set') === 0
+  }
+  return (
+    key === 'set' || key === 'add' || key === 'delete' || key === 'clear'
+  )
+}
+
+/**
+ * Creates a bridge between several independent stores. Each store joins the
+ * bridge under a unique name through the store enhancer returned by
+ * `bridge.connect(name, options)`, and leaves it through its own
+ * `disconnect()` method, so that no subscription is left behind.
+ *
+ * Every plain object action dispatched to a connected store is forwarded to
+ * the other connected stores for which `options.filter(action, targetName)`
+ * returns true. Forwarded actions carry `meta.storeBridge = { origin,
+ * visited }`, and are never forwarded again to a store they have already
+ * visited, which prevents loops.
+ *
+ * `bridge.select(name, selector)`, also available on each enhanced store as
+ * `selectFrom(name, selector)`, calls the selector with a read-only view of
+ * the state of another store. Maps, Sets and Dates in that state can be read
+ * through their usual methods, but not modified.
+ *
+ * Note that forwarded actions are dispatched at the level where the bridge
+ * enhancer sits, so middleware applied outside of it does not see them. The
+ * actions dispatched inside a `transaction()` are only forwarded once it
+ * succeeds.
+ *
+ * @returns {Object} The bridge.
+ */
+export default function createStoreBridge () {
+  const connections = {}
+  // 同一个对象始终返回同一个proxy，这样依赖引用比较的memoized selector依旧有效
+  const proxies = new WeakMap()
+
+  function readOnly (value) {
+    if (typeof value !== 'object' || value === null) {
+      return value
+    }
+
+    let proxy = proxies.get(value)
+    if (!proxy) {
+      proxy = new Proxy(value, {
+        get (target, key, receiver) {
+          if (isBuiltIn(target)) {
+            // size之类的getter同样要在真实的对象上读取
+            const result = Reflect.get(target, key, target)
+            return typeof result === 'function'
+              ? readOnlyMethod(target, key, result)
+              : result
+          }
+
+          const result = Reflect.get(target, key, receiver)
+          // Proxy规定不可配置且不可写的属性必须原样返回（比如被freeze的对象）
+          const descriptor = Object.getOwnPropertyDescriptor(target, key)
+          if (descriptor && !descriptor.configurable && !descriptor.writable) {
+            return result
+          }
+          return readOnly(result)
+        },
+        set (target, key) {
+          throw createReadOnlyError(key)
+        },
+        deleteProperty (target, key) {
+          throw createReadOnlyError(key)
+        },
+        defineProperty (target, key) {
+          throw createReadOnlyError(key)
+        },
+        setPrototypeOf () {
+          throw createReadOnlyError()
+        },
+        preventExtensions () {
+          throw createReadOnlyError()
+        }
+      })
+      proxies.set(value, proxy)
+    }
+    return proxy
+  }
+
+  // 迭代器的next同样依赖内部槽，迭代出的值也要是只读的
+  function readOnlyIterator (iterator) {
+    return {
+      next () {
+        const { value, done } = iterator.next()
+        return { value: readOnly(value), done }
+      },
+      [Symbol.iterator] () {
+        return this
+      }
+    }
+  }
+
+  function readOnlyMethod (target, key, method) {
+    if (isMutator(target, key)) {
+      return () => {
+        throw createReadOnlyError(key)
+      }
+    }
+
+    return (...args) => {
+      // forEach的回调拿到的值和集合本身也要是只读的
+      if (key === 'forEach' && typeof args[0] === 'function') {
+        const [callback, thisArg] = args
+        args = [
+          (item, itemKey) =>
+            callback.call(
+              thisArg,
+              readOnly(item),
+              readOnly(itemKey),
+              readOnly(target)
+            )
+        ]
+      }
+
+      const result = method.apply(target, args)
+      if (
+        typeof result === 'object' &&
+        result !== null &&
+        typeof result.next === 'function'
+      ) {
+        return readOnlyIterator(result)
+      }
+      return readOnly(result)
+    }
+  }
+
+  function select (name, selector) {
+    if (!connections.hasOwnProperty(name)) {
+      throw new Error(`No store named "${name}" is connected to the bridge.`)
+    }
+
+    if (typeof selector !== 'function') {
+      throw new Error('Expected the selector to be a function.')
+    }
+
+    return selector(readOnly(connections[name].getState()))
+  }
+
+  function forward (name, action, filter) {
+    const meta = (action.meta && action.meta[META_KEY]) || {
+      origin: name,
+      visited: [name]
+    }
+
+    const targets = Object.keys(connections).filter(
+      target => meta.visited.indexOf(target) === -1 && filter(action, target)
+    )
+    if (targets.length === 0) {
+      return
+    }
+
+    // 一次性把所有目标都记为已访问，目标store就不会再互相转发
+    const forwardedAction = {
+      ...action,
+      meta: {
+        ...action.meta,
+        [META_KEY]: {
+          origin: meta.origin,
+          visited: meta.visited.concat(targets)
+        }
+      }
+    }
+
+    targets.forEach(target => {
+      // 在转发的过程中，目标store可能已经断开了
+      if (connections.hasOwnProperty(target)) {
+        connections[target].dispatch(forwardedAction)
+      }
+    })
+  }
+
+  function connect (name, options = {}) {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Expected the store name to be a non-empty string.')
+    }
+
+    const { filter = () => true } = options
+    if (typeof filter !== 'function') {
+      throw new Error('Expected the filter to be a function.')
+    }
+
+    return createStore => (...args) => {
+      if (connections.hasOwnProperty(name)) {
+        throw new Error(
+          `A store named "${name}" is already connected to the bridge.`
+        )
+      }
+
+      const store = createStore(...args)
+      let transactionDepth = 0
+      let queuedActions = []
+
+      function dispatch (action) {
+        const result = store.dispatch(action)
+        if (isPlainObject(action) && connections[name] === connection) {
+          if (transactionDepth > 0) {
+            queuedActions.push(action)
+          } else {
+            forward(name, action, filter)
+          }
+        }
+        return result
+      }
+
+      // transaction中的action等到transaction成功之后再转发
+      // transaction失败时state被回滚，这些action也就不应该到达其它store
+      function transaction (callback) {
+        const queuedLength = queuedActions.length
+        transactionDepth++
+        try {
+          return store.transaction(tx => callback({ ...tx, dispatch }))
+        } catch (error) {
+          queuedActions = queuedActions.slice(0, queuedLength)
+          throw error
+        } finally {
+          transactionDepth--
+          if (transactionDepth === 0) {
+            const actions = queuedActions
+            queuedActions = []
+            actions.forEach(action => {
+              if (connections[name] === connection) {
+                forward(name, action, filter)
+              }
+            })
+          }
+        }
+      }
+
+      const connection = { dispatch, getState: store.getState }
+      connections[name] = connection
+
+      function disconnect () {
+        if (connections[name] === connection) {
+          delete connections[name]
+        }
+      }
+
+      function selectFrom (otherName, selector) {
+        return select(otherName, selector)
+      }
+
+      return {
+        ...store,
+        dispatch,
+        transaction,
+        selectFrom,
+        disconnect
+      }
+    }
+  }
+
+  function disconnect (name) {
+    delete connections[name]
+  }
+
+  return {
+    connect,
+    disconnect,
+    select
+  }
+}
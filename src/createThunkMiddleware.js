@@ -0,0 +1,21 @@
+/**
+ * Creates a middleware that lets you dispatch functions, or "thunks". A thunk
+ * is called with `(dispatch, getState, extraArgument)` instead of reaching the
+ * reducer, and whatever it returns is returned from `dispatch`. This is the
+ * usual way to express asynchronous logic, such as fetching data and then
+ * dispatching the result.
+ *
+ * @param {any} [extraArgument] A value passed as the third argument to every
+ * thunk, typically an API client or other services to inject.
+ * @returns {Function} A Redux middleware.
+ */
+// 和redux-thunk的实现一致
+export default function createThunkMiddleware (extraArgument) {
+  return ({ dispatch, getState }) => next => action => {
+    if (typeof action === 'function') {
+      return action(dispatch, getState, extraArgument)
+    }
+
+    return next(action)
+  }
+}
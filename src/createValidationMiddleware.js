@@ -0,0 +1,85 @@
+import isPlainObject from './utils/isPlainObject'
+import validateSchema from './utils/validateSchema'
+import warning from './utils/warning'
+
+function validateAction (action, schema) {
+  // payload为Error的错误action不按照schema校验payload
+  if (action.error === true) {
+    if (schema.error === false) {
+      return { path: 'error', message: 'is not allowed' }
+    }
+  } else if (schema.payload) {
+    const failure = validateSchema(action.payload, schema.payload, 'payload')
+    if (failure) return failure
+  }
+
+  if (typeof action.meta !== 'undefined') {
+    if (schema.meta === false) {
+      return { path: 'meta', message: 'is not allowed' }
+    }
+    if (schema.meta) {
+      return validateSchema(action.meta, schema.meta, 'meta')
+    }
+  }
+
+  return null
+}
+
+/**
+ * Creates a middleware that validates actions against schemas registered per
+ * action type, so that malformed actions are rejected before they reach the
+ * reducer. Actions of other types are passed on untouched.
+ *
+ * A schema may contain:
+ *
+ * - `payload`: a JSON Schema subset describing the payload, supporting
+ *   `type`, `enum`, `properties`, `required`, `additionalProperties: false`
+ *   and `items`. It is not checked for error actions (`error: true`), whose
+ *   payload is the error. A missing payload is rejected when the schema
+ *   declares `required` or `properties`, unless its `type` allows undefined.
+ * - `meta`: a schema describing `meta`, or `false` to disallow it.
+ * - `error`: `false` to disallow error actions of this type.
+ *
+ * @param {Object} schemas An object whose keys are action types and whose
+ * values are the schemas of those actions.
+ * @param {Object} [options] Validation options.
+ * @param {string} [options.onInvalid] Either `'throw'` (the default), to
+ * throw an error, or `'warn'`, to print a warning. Either way, the invalid
+ * action is not passed on.
+ * @returns {Function} A Redux middleware.
+ */
+export default function createValidationMiddleware (schemas, options = {}) {
+  if (!isPlainObject(schemas)) {
+    throw new Error(
+      'Expected the schemas to be an object whose keys are action types.'
+    )
+  }
+
+  const { onInvalid = 'throw' } = options
+  if (onInvalid !== 'throw' && onInvalid !== 'warn') {
+    throw new Error(
+      `Expected onInvalid to be "throw" or "warn", instead received "${onInvalid}".`
+    )
+  }
+
+  return () => next => action => {
+    if (!isPlainObject(action) || !schemas.hasOwnProperty(action.type)) {
+      return next(action)
+    }
+
+    const failure = validateAction(action, schemas[action.type])
+    if (!failure) {
+      return next(action)
+    }
+
+    const message =
+      `Invalid action "${String(action.type)}": ` +
+      `${failure.path} ${failure.message}.`
+    if (onInvalid === 'throw') {
+      throw new Error(message)
+    }
+
+    warning(message)
+    return action
+  }
+}
@@ -3,6 +3,43 @@ import combineReducers from './combineReducers'
 import bindActionCreators from './bindActionCreators'
 import applyMiddleware from './applyMiddleware'
 import compose from './compose'
+import applyHistory, {
+  undoable,
+  undo,
+  redo,
+  jump,
+  clearHistory,
+  HistoryActionTypes
+} from './applyHistory'
+import applyActionLog, { replayActionLog } from './applyActionLog'
+import applyPersistence, { PersistActionTypes } from './applyPersistence'
+import createMemoryStorage from './storage/createMemoryStorage'
+import createWebStorage from './storage/createWebStorage'
+import createFileStorage from './storage/createFileStorage'
+import createMutationCheckMiddleware from './createMutationCheckMiddleware'
+import createSerializableCheckMiddleware, {
+  isSerializableDefault
+} from './createSerializableCheckMiddleware'
+import applyReducerManager from './applyReducerManager'
+import { plainObjectAdapter, mapAdapter } from './stateAdapters'
+import createThunkMiddleware from './createThunkMiddleware'
+import createPromiseMiddleware from './createPromiseMiddleware'
+import applyAsyncMiddleware from './applyAsyncMiddleware'
+import applyDynamicMiddleware from './applyDynamicMiddleware'
+import createListenerMiddleware from './createListenerMiddleware'
+import createValidationMiddleware from './createValidationMiddleware'
+import createAction from './createAction'
+import createSlice from './createSlice'
+import createSelector from './createSelector'
+import createEntityAdapter from './createEntityAdapter'
+import createActionTypeRegistry from './createActionTypeRegistry'
+import createStoreBridge from './createStoreBridge'
+import createProfiler from './createProfiler'
+import applyOptimistic, { OptimisticTypes } from './applyOptimistic'
+import applyJsonPatch, {
+  applyPatches,
+  PatchActionTypes
+} from './applyJsonPatch'
 import warning from './utils/warning'
 import __DO_NOT_USE__ActionTypes from './utils/actionTypes'
 
@@ -35,5 +72,43 @@ export {
   bindActionCreators,
   applyMiddleware,
   compose,
+  applyHistory,
+  undoable,
+  undo,
+  redo,
+  jump,
+  clearHistory,
+  HistoryActionTypes,
+  applyActionLog,
+  replayActionLog,
+  applyPersistence,
+  PersistActionTypes,
+  createMemoryStorage,
+  createWebStorage,
+  createFileStorage,
+  createMutationCheckMiddleware,
+  createSerializableCheckMiddleware,
+  isSerializableDefault,
+  applyReducerManager,
+  plainObjectAdapter,
+  mapAdapter,
+  createThunkMiddleware,
+  createPromiseMiddleware,
+  applyAsyncMiddleware,
+  applyDynamicMiddleware,
+  createListenerMiddleware,
+  createValidationMiddleware,
+  createAction,
+  createSlice,
+  createSelector,
+  createEntityAdapter,
+  createActionTypeRegistry,
+  createStoreBridge,
+  createProfiler,
+  applyOptimistic,
+  OptimisticTypes,
+  applyJsonPatch,
+  applyPatches,
+  PatchActionTypes,
   __DO_NOT_USE__ActionTypes
 }
@@ -0,0 +1,53 @@
+import isPlainObject from './utils/isPlainObject'
+
+/**
+ * State container adapters tell `combineReducers` how to read and build the
+ * state object holding the slices of its child reducers. An adapter
+ * implements:
+ *
+ * - `create()` returns an empty container.
+ * - `get(state, key)` returns the slice stored at the key.
+ * - `set(state, key, value)` stores the slice at the key and returns the
+ *   resulting container. `combineReducers` only calls it on containers it has
+ *   just created itself, so it may either mutate the container or return a
+ *   new one, as persistent collections do.
+ * - `keys(state)` returns the keys of the stored slices.
+ * - `is(state)` returns true if the value is a container of this kind.
+ * - `from(value)` (optional) converts a value that is not a container of this
+ *   kind, such as a plain object restored from JSON, into one. It returns
+ *   undefined when the value cannot be converted.
+ *
+ * When the state given to `combineReducers` is not a container of the
+ * adapter's kind, it is converted with `from`, or an error is thrown. Only
+ * the default `plainObjectAdapter` keeps the original behavior of warning in
+ * development and reading the state anyway.
+ */
+
+/**
+ * The default adapter, storing the slices in plain objects.
+ */
+export const plainObjectAdapter = {
+  create: () => ({}),
+  get: (state, key) => state[key],
+  set: (state, key, value) => {
+    state[key] = value
+    return state
+  },
+  keys: state => Object.keys(state),
+  is: isPlainObject
+}
+
+/**
+ * An adapter storing the slices in ES `Map`s.
+ */
+export const mapAdapter = {
+  create: () => new Map(),
+  get: (state, key) => state.get(key),
+  set: (state, key, value) => state.set(key, value),
+  keys: state => Array.from(state.keys()),
+  is: state => state instanceof Map,
+  from: value =>
+    isPlainObject(value)
+      ? new Map(Object.keys(value).map(key => [key, value[key]]))
+      : undefined
+}
@@ -0,0 +1,54 @@
+/**
+ * Creates a storage adapter saving every item as a file in the given
+ * directory, for use in Node. The directory must already exist.
+ *
+ * The `fs` module is passed in by the caller instead of being imported here,
+ * so that bundling Redux for the browser never pulls in Node built-ins.
+ *
+ * @param {string} directory The directory holding the files.
+ * @param {Object} fs Node's `fs` module.
+ * @returns {Object} A storage adapter whose methods return Promises.
+ */
+export default function createFileStorage (directory, fs) {
+  if (typeof directory !== 'string') {
+    throw new Error('Expected the directory to be a string.')
+  }
+
+  if (!fs || typeof fs.readFile !== 'function') {
+    throw new Error(
+      "Expected the fs module as the second argument, e.g. require('fs')."
+    )
+  }
+
+  // 用encodeURIComponent处理key，避免key中出现路径分隔符
+  function getPath (key) {
+    return `${directory.replace(/[\\/]+$/, '')}/${encodeURIComponent(key)}.json`
+  }
+
+  return {
+    getItem (key) {
+      return new Promise((resolve, reject) => {
+        fs.readFile(getPath(key), 'utf8', (err, data) => {
+          if (err) {
+            return err.code === 'ENOENT' ? resolve(null) : reject(err)
+          }
+          resolve(data)
+        })
+      })
+    },
+    setItem (key, value) {
+      return new Promise((resolve, reject) => {
+        fs.writeFile(getPath(key), value, 'utf8', err => {
+          return err ? reject(err) : resolve()
+        })
+      })
+    },
+    removeItem (key) {
+      return new Promise((resolve, reject) => {
+        fs.unlink(getPath(key), err => {
+          return err && err.code !== 'ENOENT' ? reject(err) : resolve()
+        })
+      })
+    }
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * Creates a storage adapter keeping the items in memory. It is mostly useful
+ * for tests and for environments without any persistent storage.
+ *
+ * Every storage adapter implements `getItem(key)`, `setItem(key, value)` and
+ * `removeItem(key)`. Each of them may either return its result directly or
+ * return a Promise of it. `getItem` resolves to `null` for missing items.
+ *
+ * @param {Object} [items] The items the storage starts with.
+ * @returns {Object} A storage adapter.
+ */
+export default function createMemoryStorage (items = {}) {
+  const store = { ...items }
+
+  return {
+    getItem (key) {
+      return store.hasOwnProperty(key) ? store[key] : null
+    },
+    setItem (key, value) {
+      store[key] = value
+    },
+    removeItem (key) {
+      delete store[key]
+    }
+  }
+}
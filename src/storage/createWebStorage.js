@@ -0,0 +1,33 @@
+/**
+ * Creates a storage adapter on top of a Web Storage object such as
+ * `localStorage` or `sessionStorage`, or of any object implementing the same
+ * `getItem`, `setItem` and `removeItem` methods.
+ *
+ * @param {Object} [webStorage] The storage object. Defaults to the global
+ * `localStorage`.
+ * @returns {Object} A storage adapter.
+ */
+export default function createWebStorage (webStorage) {
+  if (typeof webStorage === 'undefined') {
+    if (typeof localStorage === 'undefined') {
+      throw new Error(
+        'No localStorage is available in this environment. ' +
+          'Pass a storage object to createWebStorage explicitly.'
+      )
+    }
+    webStorage = localStorage
+  }
+
+  // 只是简单的转发，单独包装一层是为了不把this泄漏出去，同时统一接口
+  return {
+    getItem (key) {
+      return webStorage.getItem(key)
+    },
+    setItem (key, value) {
+      webStorage.setItem(key, value)
+    },
+    removeItem (key) {
+      webStorage.removeItem(key)
+    }
+  }
+}
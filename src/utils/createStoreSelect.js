@@ -0,0 +1,27 @@
+/**
+ * Creates the `select` method of a store.
+ *
+ * @param {Function} getState Reads the state of the store.
+ * @returns {Function} A function calling a selector with the current state,
+ * and reusing its previous result as long as the state has not changed.
+ */
+export default function createStoreSelect (getState) {
+  // 以selector为key缓存上一次的state和结果，selector不再使用时可以被回收
+  const cache = new WeakMap()
+
+  return function select (selector) {
+    if (typeof selector !== 'function') {
+      throw new Error('Expected the selector to be a function.')
+    }
+
+    const state = getState()
+    const cached = cache.get(selector)
+    if (cached && cached.state === state) {
+      return cached.value
+    }
+
+    const value = selector(state)
+    cache.set(selector, { state, value })
+    return value
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * @param {any} value The value to inspect.
+ * @returns {boolean} True if the argument is a finite number without a
+ * fractional part.
+ */
+// 不用Number.isInteger，它在IE中不存在
+export default function isInteger (value) {
+  return (
+    typeof value === 'number' && isFinite(value) && Math.floor(value) === value
+  )
+}
@@ -0,0 +1,12 @@
+/**
+ * @param {any} value The value to inspect.
+ * @returns {boolean} True if the argument looks like a Promise (a "thenable").
+ */
+// 不用instanceof Promise，因为Promise可能来自不同的实现（比如bluebird）
+export default function isPromise (value) {
+  return (
+    !!value &&
+    (typeof value === 'object' || typeof value === 'function') &&
+    typeof value.then === 'function'
+  )
+}
@@ -0,0 +1,269 @@
+import isPlainObject from './isPlainObject'
+
+// JSON Pointer（RFC 6901）中，key里的~和/需要转义
+function escapePathComponent (key) {
+  return String(key)
+    .replace(/~/g, '~0')
+    .replace(/\//g, '~1')
+}
+
+function unescapePathComponent (token) {
+  return token.replace(/~1/g, '/').replace(/~0/g, '~')
+}
+
+function parsePath (path) {
+  if (path === '') {
+    return []
+  }
+
+  if (typeof path !== 'string' || path.charAt(0) !== '/') {
+    throw new Error(`Invalid JSON Pointer "${path}".`)
+  }
+
+  return path
+    .slice(1)
+    .split('/')
+    .map(unescapePathComponent)
+}
+
+function diff (prev, next, path, patches) {
+  // 和combination的hasChanged一样依赖引用比较，没有变化的子树直接跳过
+  if (prev === next) {
+    return
+  }
+
+  if (Array.isArray(prev) && Array.isArray(next)) {
+    const commonLength = Math.min(prev.length, next.length)
+    for (let i = 0; i < commonLength; i++) {
+      diff(prev[i], next[i], `${path}/${i}`, patches)
+    }
+    // 从后往前删除，保证前面元素的下标不受影响
+    for (let i = prev.length - 1; i >= next.length; i--) {
+      patches.push({ op: 'remove', path: `${path}/${i}` })
+    }
+    for (let i = prev.length; i < next.length; i++) {
+      patches.push({ op: 'add', path: `${path}/${i}`, value: next[i] })
+    }
+    return
+  }
+
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    Object.keys(prev).forEach(key => {
+      if (!next.hasOwnProperty(key)) {
+        const keyPath = `${path}/${escapePathComponent(key)}`
+        patches.push({ op: 'remove', path: keyPath })
+      }
+    })
+    Object.keys(next).forEach(key => {
+      const keyPath = `${path}/${escapePathComponent(key)}`
+      if (prev.hasOwnProperty(key)) {
+        diff(prev[key], next[key], keyPath, patches)
+      } else {
+        patches.push({ op: 'add', path: keyPath, value: next[key] })
+      }
+    })
+    return
+  }
+
+  patches.push({ op: 'replace', path, value: next })
+}
+
+/**
+ * Computes the JSON Patch (RFC 6902) turning one state tree into another.
+ * Subtrees that are the same reference in both trees are assumed unchanged
+ * and skipped, so the cost depends on how much of the tree has changed.
+ *
+ * @param {any} prev The previous state tree.
+ * @param {any} next The next state tree.
+ * @returns {Array} The `add`, `remove` and `replace` operations.
+ */
+export function createPatch (prev, next) {
+  const patches = []
+  diff(prev, next, '', patches)
+  return patches
+}
+
+function getIndex (array, token, op, allowEnd) {
+  if (allowEnd && token === '-') {
+    return array.length
+  }
+
+  const index = Number(token)
+  if (
+    !/^(0|[1-9][0-9]*)$/.test(token) ||
+    index > array.length ||
+    (!allowEnd && index === array.length)
+  ) {
+    throw new Error(
+      `Cannot apply the "${op.op}" operation at "${op.path}": ` +
+        `the array index "${token}" is out of bounds.`
+    )
+  }
+  return index
+}
+
+function hasChild (container, token) {
+  return Array.isArray(container)
+    ? /^(0|[1-9][0-9]*)$/.test(token) && Number(token) < container.length
+    : isPlainObject(container) && container.hasOwnProperty(token)
+}
+
+function getValue (state, op, path) {
+  return parsePath(path).reduce((value, token) => {
+    if (!hasChild(value, token)) {
+      throw new Error(
+        `Cannot apply the "${op.op}" operation: "${path}" does not exist.`
+      )
+    }
+    return value[token]
+  }, state)
+}
+
+// 沿着路径复制经过的每一层容器，其余的子树保持原来的引用
+function update (container, tokens, op, updateParent) {
+  if (tokens.length === 1) {
+    return updateParent(container, tokens[0])
+  }
+
+  const [token, ...rest] = tokens
+  if (!hasChild(container, token)) {
+    throw new Error(
+      `Cannot apply the "${op.op}" operation at "${op.path}": ` +
+        `its parent does not exist.`
+    )
+  }
+
+  const child = update(container[token], rest, op, updateParent)
+  if (Array.isArray(container)) {
+    const copy = container.slice()
+    copy[Number(token)] = child
+    return copy
+  }
+  return { ...container, [token]: child }
+}
+
+function addValue (state, op, path, value) {
+  const tokens = parsePath(path)
+  if (tokens.length === 0) {
+    return value
+  }
+
+  return update(state, tokens, op, (parent, token) => {
+    if (Array.isArray(parent)) {
+      const copy = parent.slice()
+      copy.splice(getIndex(parent, token, op, true), 0, value)
+      return copy
+    }
+    if (!isPlainObject(parent)) {
+      throw new Error(
+        `Cannot apply the "${op.op}" operation at "${op.path}": ` +
+          `its parent is not an object or an array.`
+      )
+    }
+    return { ...parent, [token]: value }
+  })
+}
+
+function removeValue (state, op, path) {
+  const tokens = parsePath(path)
+  if (tokens.length === 0) {
+    return undefined
+  }
+
+  return update(state, tokens, op, (parent, token) => {
+    if (!hasChild(parent, token)) {
+      throw new Error(
+        `Cannot apply the "${op.op}" operation: "${path}" does not exist.`
+      )
+    }
+    if (Array.isArray(parent)) {
+      const copy = parent.slice()
+      copy.splice(Number(token), 1)
+      return copy
+    }
+    const copy = { ...parent }
+    delete copy[token]
+    return copy
+  })
+}
+
+function replaceValue (state, op, path, value) {
+  const tokens = parsePath(path)
+  if (tokens.length === 0) {
+    return value
+  }
+
+  return update(state, tokens, op, (parent, token) => {
+    if (!hasChild(parent, token)) {
+      throw new Error(
+        `Cannot apply the "${op.op}" operation: "${path}" does not exist.`
+      )
+    }
+    if (Array.isArray(parent)) {
+      const copy = parent.slice()
+      copy[Number(token)] = value
+      return copy
+    }
+    return { ...parent, [token]: value }
+  })
+}
+
+function isEqual (a, b) {
+  if (a === b) {
+    return true
+  }
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, i) => isEqual(value, b[i]))
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a)
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every(key => b.hasOwnProperty(key) && isEqual(a[key], b[key]))
+    )
+  }
+
+  return false
+}
+
+/**
+ * Applies a JSON Patch (RFC 6902) to a state tree without mutating it. Only
+ * the objects and arrays on the paths of the operations are copied, so the
+ * untouched subtrees keep their references.
+ *
+ * @param {any} state The state tree to patch.
+ * @param {Array} patches The `add`, `remove`, `replace`, `move`, `copy` and
+ * `test` operations to apply in order.
+ * @returns {any} The patched state tree.
+ */
+export function applyPatch (state, patches) {
+  if (!Array.isArray(patches)) {
+    throw new Error('Expected the patches to be an array.')
+  }
+
+  return patches.reduce((current, op) => {
+    switch (op.op) {
+      case 'add':
+        return addValue(current, op, op.path, op.value)
+      case 'remove':
+        return removeValue(current, op, op.path)
+      case 'replace':
+        return replaceValue(current, op, op.path, op.value)
+      case 'move': {
+        const value = getValue(current, op, op.from)
+        return addValue(removeValue(current, op, op.from), op, op.path, value)
+      }
+      case 'copy':
+        return addValue(current, op, op.path, getValue(current, op, op.from))
+      case 'test':
+        if (!isEqual(getValue(current, op, op.path), op.value)) {
+          throw new Error(`The "test" operation at "${op.path}" failed.`)
+        }
+        return current
+      default:
+        throw new Error(`Unknown JSON Patch operation "${op.op}".`)
+    }
+  }, state)
+}
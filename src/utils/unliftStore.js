@@ -0,0 +1,75 @@
+import $$observable from 'symbol-observable'
+
+import createStoreSelect from './createStoreSelect'
+
+/**
+ * Some store enhancers keep their own bookkeeping next to the app state (for
+ * example past and future states), so the state held by the underlying store
+ * is a "lifted" state. This wraps the reading side of such a store so that
+ * consumers keep seeing only the app state.
+ *
+ * @param {Object} store The store holding the lifted state.
+ * @param {Function} unliftState Extracts the app state from the lifted state.
+ * @returns {Object} A store whose `getState`, `select`, `subscribe`,
+ * `transaction` and observable interop point only deal with the app state.
+ */
+export default function unliftStore (store, unliftState) {
+  function getState () {
+    return unliftState(store.getState())
+  }
+
+  const select = createStoreSelect(getState)
+
+  // transaction中的tx.getState也只能拿到解包之后的state
+  function transaction (callback) {
+    return store.transaction(tx => callback({ ...tx, getState }))
+  }
+
+  // subscribe(selector, listener, equalityFn)时，selector拿到的也必须是解包之后的state
+  function subscribe (selector, ...rest) {
+    if (rest.length === 0) {
+      return store.subscribe(selector)
+    }
+
+    return store.subscribe(
+      typeof selector === 'function'
+        ? liftedState => selector(unliftState(liftedState))
+        : selector,
+      ...rest
+    )
+  }
+
+  // 和createStore中的observable一样，只是通过解包之后的getState取值
+  function observable () {
+    const outerSubscribe = subscribe
+    return {
+      subscribe (observer) {
+        if (typeof observer !== 'object') {
+          throw new TypeError('Expected the observer to be an object.')
+        }
+
+        function observeState () {
+          if (observer.next) {
+            observer.next(getState())
+          }
+        }
+
+        observeState()
+        const unsubscribe = outerSubscribe(observeState)
+        return { unsubscribe }
+      },
+      [$$observable] () {
+        return this
+      }
+    }
+  }
+
+  return {
+    ...store,
+    getState,
+    select,
+    subscribe,
+    transaction,
+    [$$observable]: observable
+  }
+}
@@ -0,0 +1,95 @@
+import isPlainObject from './isPlainObject'
+
+function getType (value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+function matchesType (value, type) {
+  if (type === 'integer') {
+    return typeof value === 'number' && value % 1 === 0
+  }
+  return getType(value) === type
+}
+
+/**
+ * Validates a value against a small subset of JSON Schema: `type` (a string
+ * or an array of strings), `enum`, `properties`, `required`,
+ * `additionalProperties: false` and `items`. A schema declaring `required` or
+ * `properties` without a `type` only accepts objects.
+ *
+ * @param {any} value The value to validate.
+ * @param {Object} schema The schema to validate it against.
+ * @param {string} path The dotted path of the value, used in the messages.
+ * @returns {Object|null} The first failure found, as `{ path, message }`, or
+ * null if the value is valid.
+ */
+export default function validateSchema (value, schema, path) {
+  // 声明了required或properties却没有声明type时，值必须是对象
+  // 否则缺少的payload（undefined）会跳过required的检查
+  let type = schema.type
+  if (
+    typeof type === 'undefined' &&
+    (schema.required || schema.properties)
+  ) {
+    type = 'object'
+  }
+
+  if (typeof type !== 'undefined') {
+    const types = Array.isArray(type) ? type : [type]
+    if (!types.some(type => matchesType(value, type))) {
+      return {
+        path,
+        message: `expected ${types.join(' or ')} but received ${getType(value)}`
+      }
+    }
+  }
+
+  if (Array.isArray(schema.enum) && schema.enum.indexOf(value) === -1) {
+    return {
+      path,
+      message: `expected one of ${schema.enum
+        .map(v => JSON.stringify(v))
+        .join(', ')} but received ${JSON.stringify(value)}`
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {}
+    const required = schema.required || []
+
+    for (let i = 0; i < required.length; i++) {
+      if (typeof value[required[i]] === 'undefined') {
+        return {
+          path: `${path}.${required[i]}`,
+          message: 'is required'
+        }
+      }
+    }
+
+    const keys = Object.keys(value)
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i]
+      if (properties.hasOwnProperty(key)) {
+        const failure = validateSchema(
+          value[key],
+          properties[key],
+          `${path}.${key}`
+        )
+        if (failure) return failure
+      } else if (schema.additionalProperties === false) {
+        return { path: `${path}.${key}`, message: 'is not allowed' }
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const failure = validateSchema(value[i], schema.items, `${path}.${i}`)
+      if (failure) return failure
+    }
+  }
+
+  return null
+}